@@ -0,0 +1,152 @@
+/**
+ * Audit Log
+ * Structured records of authentication events for compliance audits.
+ *
+ * Every event carries its time, a keyed hash of the user (tenant and login),
+ * the caller's IP and user agent, the tenant and the outcome, and goes to each
+ * sink. A sink is any object with `write(entry)` and optionally `close()`;
+ * the file sink appends JSON lines and rotates by size and age.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_EVENTS = [
+  'login.success',
+  'login.failure',
+  'logout',
+  'token.expired',
+  'token.revoked',
+  'rate_limit.hit'
+];
+
+/**
+ * Append-only JSONL file. The file is moved aside (suffixed with the time)
+ * before a write would take it past `maxBytes`, or once it is older than
+ * `rotateIntervalMs`.
+ * @param {object} options
+ * @param {string} options.file - path of the current log file
+ * @param {number} [options.maxBytes] - largest size of one file
+ * @param {number} [options.rotateIntervalMs] - longest time one file is written to
+ */
+const createFileSink = ({ file, maxBytes = 10 * 1024 * 1024, rotateIntervalMs = 24 * 60 * 60 * 1000 }) => {
+  let size = null;
+  let openedAt = null;
+  let writing = Promise.resolve();
+
+  const open = async () => {
+    try {
+      const stat = await fs.promises.stat(file);
+      size = stat.size;
+      openedAt = stat.birthtimeMs > 0 ? stat.birthtimeMs : stat.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      size = 0;
+      openedAt = Date.now();
+    }
+  };
+
+  const rotate = async () => {
+    const base = `${file}.${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    let target = base;
+    // Never overwrite a file rotated within the same millisecond
+    for (let n = 1; fs.existsSync(target); n++) {
+      target = `${base}-${n}`;
+    }
+    await fs.promises.rename(file, target);
+    size = 0;
+    openedAt = Date.now();
+  };
+
+  const append = async (line) => {
+    if (size === null) await open();
+    const bytes = Buffer.byteLength(line);
+    if (size > 0 && (size + bytes > maxBytes || Date.now() - openedAt >= rotateIntervalMs)) {
+      await rotate();
+    }
+    await fs.promises.appendFile(file, line, { mode: 0o600 });
+    size += bytes;
+  };
+
+  return {
+    // Writes are queued so lines never interleave and rotation sees every byte
+    write: (entry) => {
+      writing = writing.catch(() => {}).then(() => append(`${JSON.stringify(entry)}\n`));
+      return writing;
+    },
+    close: () => writing.catch(() => {})
+  };
+};
+
+// One JSON line per event on stdout, for log collectors
+const createConsoleSink = () => ({
+  write: (entry) => {
+    process.stdout.write(`${JSON.stringify({ audit: entry })}\n`);
+  }
+});
+
+/**
+ * @param {object} [options]
+ * @param {object[]} [options.sinks] - where events go
+ * @param {string} [options.hashSecret] - key for the user hash; without one a plain SHA-256 is used
+ * @param {Function} [options.onError] - (error) -> void, for sinks that fail
+ */
+const createAuditLog = ({ sinks = [], hashSecret = null, onError = () => {} } = {}) => {
+  const activeSinks = [...sinks];
+
+  // Stable per user, so an auditor who knows a login can find its events
+  const hashUser = (tenant, login) => {
+    const value = `${tenant || ''}:${String(login).trim().toLowerCase()}`;
+    return hashSecret
+      ? crypto.createHmac('sha256', hashSecret).update(value).digest('hex')
+      : crypto.createHash('sha256').update(value).digest('hex');
+  };
+
+  /**
+   * Record an event. `user` is `{ tenant, login }` (a session user will do);
+   * other details are added to the entry as they are.
+   * @param {string} event - one of AUDIT_EVENTS
+   * @param {object|null} req - request the event happened on, if any
+   * @param {object} details - `{ outcome, user?, ... }`
+   */
+  const record = (event, req, { outcome, user = null, ...details }) => {
+    if (!AUDIT_EVENTS.includes(event)) {
+      throw new Error(`Unknown audit event "${event}"`);
+    }
+
+    const tenant = (user && user.tenant) || (req && req.tenant && req.tenant.id) || null;
+    const entry = {
+      time: new Date().toISOString(),
+      event,
+      outcome,
+      user: user && user.login ? hashUser(tenant, user.login) : null,
+      tenant,
+      ip: (req && req.ip) || null,
+      userAgent: (req && req.get && req.get('user-agent')) || null,
+      ...details
+    };
+
+    activeSinks.forEach((sink) => {
+      Promise.resolve()
+        .then(() => sink.write(entry))
+        .catch(onError);
+    });
+    return entry;
+  };
+
+  return {
+    addSink: sink => activeSinks.push(sink),
+    close: () => Promise.all(activeSinks.map(sink => (sink.close ? sink.close() : null))),
+    hashUser,
+    record
+  };
+};
+
+module.exports = {
+  AUDIT_EVENTS,
+  createAuditLog,
+  createConsoleSink,
+  createFileSink
+};
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditLog, createFileSink } = require('./audit');
+
+describe('Audit log', () => {
+  const req = {
+    ip: '203.0.113.7',
+    tenant: { id: 'acme' },
+    get: name => (name === 'user-agent' ? 'curl/8.0' : undefined)
+  };
+
+  test('records structured events with a hashed user', async () => {
+    const written = [];
+    const audit = createAuditLog({ sinks: [{ write: entry => written.push(entry) }], hashSecret: 'pepper' });
+
+    const entry = audit.record('login.failure', req, {
+      outcome: 'failure',
+      user: { login: 'Jane@Example.com' },
+      reason: 'invalid_credentials'
+    });
+    await new Promise(setImmediate);
+
+    expect(written).toEqual([entry]);
+    expect(entry).toMatchObject({
+      event: 'login.failure',
+      outcome: 'failure',
+      tenant: 'acme',
+      ip: '203.0.113.7',
+      userAgent: 'curl/8.0',
+      reason: 'invalid_credentials'
+    });
+    expect(entry.user).toMatch(/^[0-9a-f]{64}$/);
+    expect(JSON.stringify(entry)).not.toContain('jane');
+    // Same user, same hash; the hash depends on the secret
+    expect(entry.user).toBe(audit.hashUser('acme', 'jane@example.com'));
+    expect(createAuditLog().hashUser('acme', 'jane@example.com')).not.toBe(entry.user);
+  });
+
+  test('records events without a request or user', () => {
+    const entry = createAuditLog().record('token.expired', null, { outcome: 'expired' });
+    expect(entry).toMatchObject({ user: null, tenant: null, ip: null, userAgent: null });
+  });
+
+  test('rejects unknown events', () => {
+    expect(() => createAuditLog().record('login.maybe', req, {})).toThrow('Unknown audit event');
+  });
+
+  test('reports failing sinks without throwing', async () => {
+    const onError = jest.fn();
+    const audit = createAuditLog({ sinks: [{ write: () => { throw new Error('disk full'); } }], onError });
+    audit.record('logout', req, { outcome: 'success' });
+    await new Promise(setImmediate);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'disk full' }));
+  });
+
+  test('takes sinks added later', async () => {
+    const written = [];
+    const audit = createAuditLog();
+    audit.addSink({ write: entry => written.push(entry.event) });
+    audit.record('logout', req, { outcome: 'success' });
+    await new Promise(setImmediate);
+    expect(written).toEqual(['logout']);
+  });
+});
+
+describe('Audit file sink', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('appends one JSON line per event', async () => {
+    const file = path.join(dir, 'logs', 'audit.jsonl');
+    const sink = createFileSink({ file });
+    await sink.write({ event: 'logout', n: 1 });
+    await sink.write({ event: 'logout', n: 2 });
+    await sink.close();
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines.map(line => line.n)).toEqual([1, 2]);
+  });
+
+  test('rotates when the file would grow past maxBytes', async () => {
+    const file = path.join(dir, 'audit.jsonl');
+    const sink = createFileSink({ file, maxBytes: 40 });
+    await sink.write({ event: 'logout', n: 1 });
+    await sink.write({ event: 'logout', n: 2 });
+    await sink.write({ event: 'logout', n: 3 });
+
+    const files = fs.readdirSync(dir).sort();
+    expect(files).toHaveLength(3);
+    expect(fs.readFileSync(file, 'utf8')).toContain('"n":3');
+  });
+
+  test('rotates files older than the interval', async () => {
+    const file = path.join(dir, 'audit.jsonl');
+    const sink = createFileSink({ file, rotateIntervalMs: 20 });
+    await sink.write({ event: 'logout', n: 1 });
+    await new Promise(resolve => setTimeout(resolve, 40));
+    await sink.write({ event: 'logout', n: 2 });
+
+    expect(fs.readdirSync(dir)).toHaveLength(2);
+    expect(fs.readFileSync(file, 'utf8').trim()).toBe('{"event":"logout","n":2}');
+  });
+});
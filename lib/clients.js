@@ -0,0 +1,91 @@
+/**
+ * Client Registry
+ * Registered OAuth clients and client authentication (client_secret_basic,
+ * client_secret_post, or none for public clients).
+ */
+
+const crypto = require('crypto');
+
+class ClientAuthError extends Error {
+  constructor(message = 'Client authentication failed') {
+    super(message);
+    this.name = 'ClientAuthError';
+  }
+}
+
+// Constant-time comparison of two strings of any length
+const safeEqual = (a, b) => {
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+};
+
+// Client ID and secret from a Basic Authorization header or the request body
+const readClientCredentials = (req) => {
+  const authHeader = req.headers['authorization'] || '';
+  if (authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator === -1) return { clientId: null, clientSecret: null };
+    try {
+      return {
+        clientId: decodeURIComponent(decoded.slice(0, separator)),
+        clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+      };
+    } catch (error) {
+      return { clientId: null, clientSecret: null };
+    }
+  }
+
+  const body = req.body || {};
+  return { clientId: body.client_id, clientSecret: body.client_secret };
+};
+
+/**
+ * @param {object[]} clients - `{ client_id, client_secret?, ... }` entries
+ * @param {object} [options]
+ * @param {boolean} [options.allowPublic] - accept clients without a secret
+ */
+const createClientRegistry = (clients = [], { allowPublic = false } = {}) => {
+  const registry = new Map();
+
+  clients.forEach((client) => {
+    if (!client.client_id) {
+      throw new Error('Every client needs a client_id');
+    }
+    if (!allowPublic && !client.client_secret) {
+      throw new Error(`Client ${client.client_id} needs a client_secret`);
+    }
+    registry.set(client.client_id, {
+      name: client.client_id,
+      ...client,
+      public: !client.client_secret
+    });
+  });
+
+  // Resolve the calling client or throw ClientAuthError
+  const authenticate = (req) => {
+    const { clientId, clientSecret } = readClientCredentials(req);
+    const client = clientId && registry.get(clientId);
+
+    if (!client) {
+      throw new ClientAuthError();
+    }
+    if (!client.public && !(clientSecret && safeEqual(clientSecret, client.client_secret))) {
+      throw new ClientAuthError();
+    }
+    return client;
+  };
+
+  return {
+    get: (clientId) => registry.get(clientId),
+    authenticate,
+    size: registry.size
+  };
+};
+
+module.exports = {
+  ClientAuthError,
+  createClientRegistry,
+  readClientCredentials,
+  safeEqual
+};
@@ -0,0 +1,32 @@
+const { createClientRegistry } = require('./clients');
+
+describe('Client registry', () => {
+  const registry = createClientRegistry([
+    { client_id: 'billing-api', client_secret: 's3cret' },
+    { client_id: 'spa' }
+  ], { allowPublic: true });
+
+  const basic = (id, secret) => `Basic ${Buffer.from(`${id}:${secret}`).toString('base64')}`;
+
+  test('authenticates with HTTP Basic credentials', () => {
+    const req = { headers: { authorization: basic('billing-api', 's3cret') } };
+    expect(registry.authenticate(req).client_id).toBe('billing-api');
+  });
+
+  test('authenticates with credentials in the body', () => {
+    const req = { headers: {}, body: { client_id: 'billing-api', client_secret: 's3cret' } };
+    expect(registry.authenticate(req).client_id).toBe('billing-api');
+  });
+
+  test('rejects a wrong secret or an unknown client', () => {
+    expect(() => registry.authenticate({ headers: { authorization: basic('billing-api', 'nope') } }))
+      .toThrow('Client authentication failed');
+    expect(() => registry.authenticate({ headers: {}, body: { client_id: 'other' } }))
+      .toThrow('Client authentication failed');
+  });
+
+  test('accepts public clients without a secret only when allowed', () => {
+    expect(registry.authenticate({ headers: {}, body: { client_id: 'spa' } }).public).toBe(true);
+    expect(() => createClientRegistry([{ client_id: 'spa' }])).toThrow('needs a client_secret');
+  });
+});
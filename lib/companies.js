@@ -0,0 +1,74 @@
+/**
+ * Companies
+ * Multi-company context for Odoo calls.
+ *
+ * Users carry `company_id` (the active company) and `company_ids` (every
+ * company they may work in). Odoo expects the choice as the
+ * `allowed_company_ids` context, active company first, on each call.
+ */
+
+class CompanyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CompanyError';
+  }
+}
+
+// Read the company fields of a res.users record into session user fields
+const companiesFromRecord = (record) => {
+  const companyId = Array.isArray(record.company_id) ? record.company_id[0] : record.company_id || null;
+  const companyIds = Array.isArray(record.company_ids) ? record.company_ids : [];
+  return {
+    company_id: companyId,
+    company_ids: companyId && !companyIds.includes(companyId) ? [companyId, ...companyIds] : companyIds
+  };
+};
+
+// Odoo context for a user; empty when the user has no company information
+const companyContext = (user) => {
+  if (!user || !user.company_id) return {};
+  return {
+    allowed_company_ids: [
+      user.company_id,
+      ...(user.company_ids || []).filter(id => id !== user.company_id)
+    ]
+  };
+};
+
+// The user with another active company, which must be one of `company_ids`
+const switchCompany = (user, companyId) => {
+  if (!Number.isInteger(companyId) || !(user.company_ids || []).includes(companyId)) {
+    throw new CompanyError('Company not allowed for this user');
+  }
+  return { ...user, company_id: companyId };
+};
+
+/**
+ * Wrap an Odoo client so every execute_kw call carries `context`. The
+ * client's own helpers (search, read, ...) go through execute_kw as well.
+ * Contexts set by the caller win over the injected one.
+ * @param {object} odoo - connected Odoo client
+ * @param {object} context - e.g. from companyContext
+ */
+const withContext = (odoo, context) => {
+  if (!odoo || Object.keys(context).length === 0) return odoo;
+
+  const wrapped = Object.create(odoo);
+  wrapped.execute_kw = (model, method, params = []) => {
+    const [args = [], kwargs = {}, ...rest] = params;
+    return odoo.execute_kw.call(wrapped, model, method, [
+      args,
+      { ...kwargs, context: { ...context, ...(kwargs.context || {}) } },
+      ...rest
+    ]);
+  };
+  return wrapped;
+};
+
+module.exports = {
+  CompanyError,
+  companiesFromRecord,
+  companyContext,
+  switchCompany,
+  withContext
+};
@@ -0,0 +1,58 @@
+const { companiesFromRecord, companyContext, switchCompany, withContext } = require('./companies');
+
+describe('Companies', () => {
+  const user = { id: 7, company_id: 1, company_ids: [1, 2, 3] };
+
+  test('reads company fields from a res.users record', () => {
+    expect(companiesFromRecord({ company_id: [2, 'Branch'], company_ids: [1, 2] })).toEqual({
+      company_id: 2,
+      company_ids: [1, 2]
+    });
+    expect(companiesFromRecord({ company_id: false })).toEqual({ company_id: null, company_ids: [] });
+  });
+
+  test('puts the active company first in allowed_company_ids', () => {
+    expect(companyContext({ ...user, company_id: 3 })).toEqual({ allowed_company_ids: [3, 1, 2] });
+    expect(companyContext({ id: 7 })).toEqual({});
+  });
+
+  test('switches only to allowed companies', () => {
+    expect(switchCompany(user, 2)).toEqual({ ...user, company_id: 2 });
+    expect(() => switchCompany(user, 9)).toThrow('Company not allowed');
+    expect(() => switchCompany(user, '2')).toThrow('Company not allowed');
+  });
+
+  test('adds the context to every execute_kw call, also from helpers', async () => {
+    const calls = [];
+    const odoo = {
+      uid: 7,
+      execute_kw(model, method, params) {
+        calls.push({ model, method, params, uid: this.uid });
+        return Promise.resolve([]);
+      },
+      search(model, domain) {
+        return this.execute_kw(model, 'search', [[domain]]);
+      }
+    };
+    const client = withContext(odoo, companyContext(user));
+
+    await client.search('res.partner', []);
+    await client.execute_kw('res.partner', 'read', [[[1]], { fields: ['name'], context: { lang: 'fr_FR' } }]);
+
+    expect(calls).toEqual([
+      { model: 'res.partner', method: 'search', params: [[[]], { context: { allowed_company_ids: [1, 2, 3] } }], uid: 7 },
+      {
+        model: 'res.partner',
+        method: 'read',
+        params: [[[1]], { fields: ['name'], context: { allowed_company_ids: [1, 2, 3], lang: 'fr_FR' } }],
+        uid: 7
+      }
+    ]);
+  });
+
+  test('leaves clients alone without a context', () => {
+    const odoo = { execute_kw: jest.fn() };
+    expect(withContext(odoo, {})).toBe(odoo);
+    expect(withContext(undefined, companyContext(user))).toBeUndefined();
+  });
+});
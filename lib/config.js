@@ -0,0 +1,27 @@
+/**
+ * Configuration Helpers
+ * Structured settings (client registries, allowlists, ...) are passed through
+ * environment variables either as inline JSON or as a path to a JSON file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Parse a JSON setting. `value` is inline JSON (starting with `{` or `[`) or a
+ * path to a JSON file; `fallback` is returned when it is empty.
+ */
+const loadJsonConfig = (value, fallback = null) => {
+  if (!value || !value.trim()) return fallback;
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    return JSON.parse(trimmed);
+  }
+
+  return JSON.parse(fs.readFileSync(path.resolve(trimmed), 'utf8'));
+};
+
+module.exports = {
+  loadJsonConfig
+};
@@ -0,0 +1,46 @@
+/**
+ * Credential Types
+ * Kinds of Odoo credentials users may log in with: their password, or an Odoo
+ * API key (Odoo 14+), which users with 2FA and integration accounts need
+ * since their password does not work over RPC.
+ */
+
+const CREDENTIAL_TYPES = ['password', 'api_key'];
+
+const LABELS = {
+  password: 'Password',
+  api_key: 'API key'
+};
+
+// Parse a comma-separated list such as LOGIN_CREDENTIAL_TYPES; all types by default
+const parseCredentialTypes = (value) => {
+  if (value === undefined || value === null) return [...CREDENTIAL_TYPES];
+
+  const types = String(value).split(',').map(type => type.trim()).filter(Boolean);
+  const unknown = types.filter(type => !CREDENTIAL_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown credential type: ${unknown.join(', ')} (expected ${CREDENTIAL_TYPES.join(', ')})`);
+  }
+  if (types.length === 0) {
+    throw new Error('At least one credential type must be enabled');
+  }
+  return types;
+};
+
+/**
+ * Middleware rejecting logins of a credential type that is turned off
+ * @param {string[]} enabled - from parseCredentialTypes
+ * @param {string} type - credential type of the route
+ */
+const requireCredentialType = (enabled, type) => (req, res, next) => {
+  if (!enabled.includes(type)) {
+    return res.status(403).json({ error: `${LABELS[type]} login is disabled` });
+  }
+  next();
+};
+
+module.exports = {
+  CREDENTIAL_TYPES,
+  parseCredentialTypes,
+  requireCredentialType
+};
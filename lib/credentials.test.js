@@ -0,0 +1,28 @@
+const { parseCredentialTypes, requireCredentialType } = require('./credentials');
+
+describe('Credential types', () => {
+  test('enables every type by default', () => {
+    expect(parseCredentialTypes(undefined)).toEqual(['password', 'api_key']);
+  });
+
+  test('parses a comma-separated list', () => {
+    expect(parseCredentialTypes(' api_key ,')).toEqual(['api_key']);
+  });
+
+  test('rejects unknown or empty lists', () => {
+    expect(() => parseCredentialTypes('password,oauth')).toThrow('Unknown credential type: oauth');
+    expect(() => parseCredentialTypes('')).toThrow('At least one credential type');
+  });
+
+  test('blocks logins of disabled types', () => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+
+    requireCredentialType(['api_key'], 'api_key')({}, res, next);
+    expect(next).toHaveBeenCalled();
+
+    requireCredentialType(['api_key'], 'password')({}, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Password login is disabled' });
+  });
+});
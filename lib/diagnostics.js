@@ -0,0 +1,197 @@
+/**
+ * Odoo Diagnostics
+ * Configurable checks run by /odoo/test with the caller's Odoo client.
+ *
+ * Each check is one RPC: `count` runs search_count and compares the result
+ * with `min`/`max`, `call` runs a model method and passes when it returns,
+ * `access` asks check_access_rights for an operation. A check that does not
+ * pass reports its `severity`, so checks on optional modules can warn instead
+ * of failing the run.
+ *
+ * The `stats` /odoo/test answered with before the checks were configurable
+ * are still collected, so existing clients keep working.
+ */
+
+const { withTimeout } = require('./health');
+
+const CHECK_TYPES = ['count', 'call', 'access'];
+const SEVERITIES = ['fail', 'warn'];
+const ACCESS_OPERATIONS = ['read', 'write', 'create', 'unlink'];
+
+// What /odoo/test has always looked at; products need the product module
+const DEFAULT_CHECKS = [
+  { name: 'partners', type: 'count', model: 'res.partner' },
+  { name: 'products', type: 'count', model: 'product.template', severity: 'warn' },
+  { name: 'users', type: 'count', model: 'res.users', min: 1 }
+];
+
+const normalizeCheck = (check) => {
+  const type = check.type || 'count';
+  if (!check.name || !check.model) {
+    throw new Error('Every diagnostic check needs a name and a model');
+  }
+  if (!CHECK_TYPES.includes(type)) {
+    throw new Error(`Diagnostic check ${check.name} has unknown type "${type}"`);
+  }
+  if (type === 'call' && (!check.method || check.method.startsWith('_'))) {
+    throw new Error(`Diagnostic check ${check.name} needs a public method`);
+  }
+  if (type === 'access' && check.operation && !ACCESS_OPERATIONS.includes(check.operation)) {
+    throw new Error(`Diagnostic check ${check.name} has unknown operation "${check.operation}"`);
+  }
+  if (check.severity && !SEVERITIES.includes(check.severity)) {
+    throw new Error(`Diagnostic check ${check.name} severity must be fail or warn`);
+  }
+  return { severity: 'fail', ...check, type };
+};
+
+// Run one check; resolves with its details or a `problem` that stops it passing
+const runCheck = async (odoo, check) => {
+  if (check.type === 'count') {
+    const count = await odoo.execute_kw(check.model, 'search_count', [[check.domain || []]]);
+    if (check.min !== undefined && count < check.min) {
+      return { count, problem: `Expected at least ${check.min} records` };
+    }
+    if (check.max !== undefined && count > check.max) {
+      return { count, problem: `Expected at most ${check.max} records` };
+    }
+    return { count };
+  }
+
+  if (check.type === 'call') {
+    await odoo.execute_kw(check.model, check.method, [check.args || [], check.kwargs || {}]);
+    return {};
+  }
+
+  const operation = check.operation || 'read';
+  const allowed = await odoo.execute_kw(check.model, 'check_access_rights', [[operation], { raise_exception: false }]);
+  return allowed ? { operation } : { operation, problem: `No ${operation} access` };
+};
+
+// Counted for `stats` whatever the checks are; null when Odoo cannot count a model
+const STAT_MODELS = {
+  partnerCount: 'res.partner',
+  productCount: 'product.template',
+  userCount: 'res.users'
+};
+
+const overallStatus = (results) => {
+  if (results.some(result => result.status === 'fail')) return 'fail';
+  if (results.some(result => result.status === 'warn')) return 'warn';
+  return 'pass';
+};
+
+/**
+ * @param {object[]} [checks] - `{ name, type, model, severity?, timeout? (seconds), ... }`
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - for checks without their own timeout
+ * @param {Function} [options.describeError] - error -> message safe to show
+ */
+const createDiagnostics = (checks = DEFAULT_CHECKS, { timeoutMs = 10000, describeError = error => error.message } = {}) => {
+  const normalized = checks.map(normalizeCheck);
+  if (new Set(normalized.map(check => check.name)).size !== normalized.length) {
+    throw new Error('Diagnostic check names must be unique');
+  }
+
+  // Every check at once; resolves with `{ status, checks }`
+  const run = async (odoo) => {
+    const results = await Promise.all(normalized.map(async (check) => {
+      const started = Date.now();
+      const checkTimeoutMs = check.timeout ? check.timeout * 1000 : timeoutMs;
+      try {
+        const { problem, ...details } = await withTimeout(runCheck(odoo, check), checkTimeoutMs);
+        return {
+          name: check.name,
+          status: problem ? check.severity : 'pass',
+          ...details,
+          ...(problem && { message: problem }),
+          durationMs: Date.now() - started
+        };
+      } catch (error) {
+        return {
+          name: check.name,
+          status: check.severity,
+          message: describeError(error),
+          durationMs: Date.now() - started
+        };
+      }
+    }));
+
+    return { status: overallStatus(results), checks: results };
+  };
+
+  // The counts and sample partners /odoo/test has always returned
+  const stats = async (odoo) => {
+    const countOf = async (model) => {
+      try {
+        return await withTimeout(odoo.execute_kw(model, 'search_count', [[[]]]), timeoutMs);
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const [counts, samplePartners] = await Promise.all([
+      Promise.all(Object.entries(STAT_MODELS).map(async ([name, model]) => [name, await countOf(model)])),
+      withTimeout(odoo.searchRead('res.partner', [['is_company', '=', true]], ['name', 'email', 'phone'], { limit: 5 }), timeoutMs)
+        .catch(() => [])
+    ]);
+
+    return {
+      ...Object.fromEntries(counts),
+      samplePartners: samplePartners.map(partner => ({
+        id: partner.id,
+        name: partner.name,
+        email: partner.email || null,
+        phone: partner.phone || null
+      }))
+    };
+  };
+
+  /**
+   * What administrators need to debug a tenant: the Odoo version, installed
+   * modules and the caller's access rights on every model the checks use.
+   * @param {object} odoo - the caller's Odoo client
+   * @param {Function} getVersion - resolves with Odoo's `common.version` answer
+   */
+  const report = async (odoo, getVersion) => {
+    const models = [...new Set(normalized.map(check => check.model))];
+
+    const [version, modules, accessRights] = await Promise.all([
+      withTimeout(getVersion(), timeoutMs),
+      withTimeout(odoo.searchRead('ir.module.module', [['state', '=', 'installed']], ['name']), timeoutMs),
+      Promise.all(models.map(async model => [model, Object.fromEntries(await Promise.all(
+        ACCESS_OPERATIONS.map(async (operation) => {
+          try {
+            const allowed = await withTimeout(
+              odoo.execute_kw(model, 'check_access_rights', [[operation], { raise_exception: false }]),
+              timeoutMs
+            );
+            return [operation, Boolean(allowed)];
+          } catch (error) {
+            // Unknown model, e.g. its module is not installed
+            return [operation, null];
+          }
+        })
+      ))]))
+    ]);
+
+    return {
+      version: version && version.server_version,
+      modules: modules.map(module => module.name).sort(),
+      accessRights: Object.fromEntries(accessRights)
+    };
+  };
+
+  return {
+    checks: normalized,
+    report,
+    run,
+    stats
+  };
+};
+
+module.exports = {
+  CHECK_TYPES,
+  DEFAULT_CHECKS,
+  createDiagnostics
+};
@@ -0,0 +1,95 @@
+const { DEFAULT_CHECKS, createDiagnostics } = require('./diagnostics');
+
+describe('Odoo diagnostics', () => {
+  // Answers search_count from `counts`; unknown models fail like Odoo does
+  const fakeOdoo = (counts, { access = {} } = {}) => ({
+    execute_kw: jest.fn(async (model, method, params) => {
+      if (!(model in counts)) throw new Error(`Object ${model} doesn't exist`);
+      if (method === 'search_count') return counts[model];
+      if (method === 'check_access_rights') return access[`${model}:${params[0][0]}`] !== false;
+      if (method === 'hang') return new Promise(() => {});
+      return true;
+    }),
+    searchRead: jest.fn(async () => [{ name: 'sale' }, { name: 'base' }])
+  });
+
+  test('passes when every check passes', async () => {
+    const result = await createDiagnostics().run(fakeOdoo({ 'res.partner': 12, 'product.template': 3, 'res.users': 2 }));
+
+    expect(result.status).toBe('pass');
+    expect(result.checks.map(check => check.name)).toEqual(DEFAULT_CHECKS.map(check => check.name));
+    expect(result.checks[0]).toMatchObject({ name: 'partners', status: 'pass', count: 12 });
+  });
+
+  test('warns when an optional module is missing', async () => {
+    const result = await createDiagnostics().run(fakeOdoo({ 'res.partner': 12, 'res.users': 2 }));
+
+    expect(result.status).toBe('warn');
+    expect(result.checks[1]).toMatchObject({ name: 'products', status: 'warn', message: expect.stringContaining("doesn't exist") });
+  });
+
+  test('compares counts with the expected range', async () => {
+    const result = await createDiagnostics([
+      { name: 'admins', model: 'res.users', min: 1, max: 5 },
+      { name: 'partners', model: 'res.partner', max: 10, severity: 'warn' }
+    ]).run(fakeOdoo({ 'res.users': 0, 'res.partner': 12 }));
+
+    expect(result.status).toBe('fail');
+    expect(result.checks[0]).toMatchObject({ status: 'fail', count: 0, message: 'Expected at least 1 records' });
+    expect(result.checks[1]).toMatchObject({ status: 'warn', count: 12, message: 'Expected at most 10 records' });
+  });
+
+  test('runs method calls and access checks', async () => {
+    const odoo = fakeOdoo({ 'res.partner': 1 }, { access: { 'res.partner:unlink': false } });
+    const result = await createDiagnostics([
+      { name: 'fields', type: 'call', model: 'res.partner', method: 'fields_get', kwargs: { attributes: ['type'] } },
+      { name: 'can-read', type: 'access', model: 'res.partner' },
+      { name: 'can-delete', type: 'access', model: 'res.partner', operation: 'unlink' }
+    ]).run(odoo);
+
+    expect(odoo.execute_kw).toHaveBeenCalledWith('res.partner', 'fields_get', [[], { attributes: ['type'] }]);
+    expect(result.checks.map(check => check.status)).toEqual(['pass', 'pass', 'fail']);
+    expect(result.checks[2].message).toBe('No unlink access');
+  });
+
+  test('times out slow checks on their own timeout', async () => {
+    const result = await createDiagnostics([
+      { name: 'slow', type: 'call', model: 'res.partner', method: 'hang', timeout: 0.02 }
+    ], { describeError: error => `hidden: ${error.message}` }).run(fakeOdoo({ 'res.partner': 1 }));
+
+    expect(result.checks[0]).toMatchObject({ status: 'fail', message: 'hidden: Timed out after 20ms' });
+  });
+
+  test('rejects invalid check definitions', () => {
+    expect(() => createDiagnostics([{ name: 'x' }])).toThrow('needs a name and a model');
+    expect(() => createDiagnostics([{ name: 'x', model: 'm', type: 'sql' }])).toThrow('unknown type');
+    expect(() => createDiagnostics([{ name: 'x', model: 'm', type: 'call', method: '_private' }])).toThrow('public method');
+    expect(() => createDiagnostics([{ name: 'x', model: 'm', severity: 'info' }])).toThrow('fail or warn');
+    expect(() => createDiagnostics([{ name: 'x', model: 'm' }, { name: 'x', model: 'n' }])).toThrow('unique');
+  });
+
+  test('collects the legacy stats, with null for models Odoo cannot count', async () => {
+    const odoo = fakeOdoo({ 'res.partner': 12, 'res.users': 2 });
+    odoo.searchRead.mockResolvedValue([{ id: 3, name: 'Acme', email: 'info@acme.test', phone: false }]);
+
+    const stats = await createDiagnostics().stats(odoo);
+
+    expect(stats).toEqual({
+      partnerCount: 12,
+      productCount: null,
+      userCount: 2,
+      samplePartners: [{ id: 3, name: 'Acme', email: 'info@acme.test', phone: null }]
+    });
+    expect(odoo.searchRead).toHaveBeenCalledWith('res.partner', [['is_company', '=', true]], ['name', 'email', 'phone'], { limit: 5 });
+  });
+
+  test('reports version, installed modules and access rights for admins', async () => {
+    const odoo = fakeOdoo({ 'res.partner': 1, 'res.users': 1 }, { access: { 'res.users:unlink': false } });
+    const report = await createDiagnostics().report(odoo, async () => ({ server_version: '17.0' }));
+
+    expect(report.version).toBe('17.0');
+    expect(report.modules).toEqual(['base', 'sale']);
+    expect(report.accessRights['res.users']).toEqual({ read: true, write: true, create: true, unlink: false });
+    expect(report.accessRights['product.template']).toEqual({ read: null, write: null, create: null, unlink: null });
+  });
+});
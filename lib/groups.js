@@ -0,0 +1,54 @@
+/**
+ * Odoo Groups
+ * Resolves a user's `groups_id` into XML IDs such as `base.group_system` and
+ * guards routes by group membership.
+ *
+ * XML IDs are stable across databases, unlike group record IDs, so they are
+ * what sessions and token claims carry.
+ */
+
+/**
+ * Read the XML IDs of the given res.groups records. Groups without an XML ID
+ * (created by hand in Odoo) are left out.
+ * @param {object} odoo - connected Odoo client
+ * @param {number[]} groupIds - res.groups record IDs
+ */
+const resolveGroupXmlIds = async (odoo, groupIds = []) => {
+  if (groupIds.length === 0) return [];
+
+  const records = await odoo.searchRead(
+    'ir.model.data',
+    [['model', '=', 'res.groups'], ['res_id', 'in', groupIds]],
+    ['module', 'name']
+  );
+
+  return [...new Set(records.map(record => `${record.module}.${record.name}`))].sort();
+};
+
+/**
+ * Middleware allowing only users in at least one of `groups`. Runs after
+ * authenticateToken, which puts the user (with `groups`) on `req.user`.
+ * @param {...string} groups - XML IDs, e.g. 'base.group_system'
+ */
+const requireGroup = (...groups) => {
+  if (groups.length === 0) {
+    throw new Error('requireGroup needs at least one group');
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    const memberOf = req.user.groups || [];
+    if (!groups.some(group => memberOf.includes(group))) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  resolveGroupXmlIds,
+  requireGroup
+};
@@ -0,0 +1,56 @@
+const { resolveGroupXmlIds, requireGroup } = require('./groups');
+
+describe('Odoo groups', () => {
+  test('resolves group IDs into sorted XML IDs', async () => {
+    const odoo = {
+      searchRead: jest.fn(async () => [
+        { module: 'sales_team', name: 'group_sale_manager' },
+        { module: 'base', name: 'group_user' },
+        { module: 'base', name: 'group_user' }
+      ])
+    };
+
+    expect(await resolveGroupXmlIds(odoo, [1, 12])).toEqual(['base.group_user', 'sales_team.group_sale_manager']);
+    expect(odoo.searchRead).toHaveBeenCalledWith(
+      'ir.model.data',
+      [['model', '=', 'res.groups'], ['res_id', 'in', [1, 12]]],
+      ['module', 'name']
+    );
+  });
+
+  test('skips the lookup for users without groups', async () => {
+    const odoo = { searchRead: jest.fn() };
+    expect(await resolveGroupXmlIds(odoo, [])).toEqual([]);
+    expect(odoo.searchRead).not.toHaveBeenCalled();
+  });
+
+  describe('requireGroup', () => {
+    const run = (guard, user) => {
+      const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+      const next = jest.fn();
+      guard({ user }, res, next);
+      return { res, next };
+    };
+
+    test('lets members of any listed group through', () => {
+      const guard = requireGroup('base.group_system', 'account.group_account_manager');
+      const { next } = run(guard, { id: 7, groups: ['base.group_user', 'account.group_account_manager'] });
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('answers 403 for other users and 401 without a user', () => {
+      const guard = requireGroup('base.group_system');
+
+      const portal = run(guard, { id: 8, groups: ['base.group_portal'] });
+      expect(portal.next).not.toHaveBeenCalled();
+      expect(portal.res.status).toHaveBeenCalledWith(403);
+
+      const anonymous = run(guard, undefined);
+      expect(anonymous.res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('needs at least one group', () => {
+      expect(() => requireGroup()).toThrow('at least one group');
+    });
+  });
+});
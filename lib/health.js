@@ -0,0 +1,160 @@
+/**
+ * Health Checks
+ * Building blocks for /health/ready: named checks with timeouts, cached
+ * results for expensive probes, and an Odoo probe that asks the server for
+ * its version and checks the database is reachable.
+ */
+
+const { requestIdHeaders } = require('./logger');
+
+class CheckTimeoutError extends Error {
+  constructor(ms) {
+    super(`Timed out after ${ms}ms`);
+    this.name = 'CheckTimeoutError';
+  }
+}
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new CheckTimeoutError(ms)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Reuse a check's outcome, success or failure, for `ttlMs`, so probes do not
+// hammer a dependency; concurrent callers share one run
+const cached = (check, ttlMs) => {
+  let last = null;
+  let pending = null;
+
+  const settle = (outcome) => {
+    if (outcome.error) throw outcome.error;
+    return outcome.result;
+  };
+
+  return async () => {
+    if (last && Date.now() - last.at < ttlMs) {
+      return settle(last.error ? last : { result: { ...last.result, cached: true } });
+    }
+    if (!pending) {
+      pending = Promise.resolve()
+        .then(check)
+        .then(result => ({ result }), error => ({ error }))
+        .then((outcome) => {
+          last = { ...outcome, at: Date.now() };
+          pending = null;
+          return outcome;
+        });
+    }
+    return settle(await pending);
+  };
+};
+
+/**
+ * Run every check and collect their results. A check resolves with details
+ * (`{ status: 'ok', ... }`) or throws; `status` is 'fail' if any failed.
+ * @param {object} checks - `{ name: async () => details }`
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - per check
+ * @param {Function} [options.describeError] - error -> message safe to show
+ */
+const runChecks = async (checks, { timeoutMs = 5000, describeError = error => error.message } = {}) => {
+  const names = Object.keys(checks);
+  const results = await Promise.all(names.map(async (name) => {
+    const started = Date.now();
+    try {
+      const details = await withTimeout(Promise.resolve().then(checks[name]), timeoutMs);
+      return { status: 'ok', ...details, durationMs: Date.now() - started };
+    } catch (error) {
+      return { status: 'fail', error: describeError(error), durationMs: Date.now() - started };
+    }
+  }));
+
+  const failed = results.some(result => result.status !== 'ok');
+  return {
+    status: failed ? 'fail' : 'ok',
+    checks: Object.fromEntries(names.map((name, index) => [name, results[index]]))
+  };
+};
+
+const odooRpcUrl = (tenant) => {
+  let url;
+  try {
+    url = new URL('/jsonrpc', tenant.baseUrl);
+  } catch (error) {
+    throw new Error('Odoo base URL is missing or invalid');
+  }
+  if (tenant.port && !['80', '443'].includes(String(tenant.port))) {
+    url.port = String(tenant.port);
+  }
+  return url.toString();
+};
+
+/**
+ * Call a method of Odoo's unauthenticated `common` JSON-RPC service.
+ * @param {object} tenant - from lib/tenants.js
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - per request to Odoo
+ * @param {Function} [options.fetchImpl] - fetch implementation
+ */
+const createCommonRpc = (tenant, { timeoutMs = 5000, fetchImpl = fetch } = {}) => (
+  // The URL is checked per call, so a misconfigured tenant fails its health
+  // check instead of the service
+  async (method, args = []) => {
+    const response = await fetchImpl(odooRpcUrl(tenant), {
+      method: 'POST',
+      signal: AbortSignal.timeout(timeoutMs),
+      headers: { 'Content-Type': 'application/json', ...requestIdHeaders() },
+      body: JSON.stringify({ jsonrpc: '2.0', method: 'call', params: { service: 'common', method, args } })
+    });
+    if (!response.ok) {
+      throw new Error(`Odoo answered HTTP ${response.status}`);
+    }
+    const payload = await response.json();
+    if (payload.error) {
+      throw new Error((payload.error.data && payload.error.data.message) || payload.error.message || 'Odoo error');
+    }
+    return payload.result;
+  }
+);
+
+/**
+ * Probe one tenant's Odoo over JSON-RPC: `common.version` proves the server
+ * answers, `common.authenticate` proves the database opens. Without a service
+ * account the login is empty and simply fails, which Odoo can only answer once
+ * the database is loaded.
+ * @param {object} tenant - from lib/tenants.js
+ * @param {object} [options] - as for createCommonRpc
+ */
+const createOdooProbe = (tenant, options = {}) => {
+  const call = createCommonRpc(tenant, options);
+
+  return async () => {
+    const version = await call('version', []);
+    const account = tenant.serviceAccount;
+    const uid = await call('authenticate', [
+      tenant.db,
+      account ? account.login : '',
+      account ? account.password : '',
+      {}
+    ]);
+    if (account && !uid) {
+      throw new Error('Service account login failed');
+    }
+
+    return {
+      version: version && version.server_version,
+      database: tenant.db
+    };
+  };
+};
+
+module.exports = {
+  CheckTimeoutError,
+  cached,
+  createCommonRpc,
+  createOdooProbe,
+  runChecks,
+  withTimeout
+};
@@ -0,0 +1,84 @@
+const { cached, createOdooProbe, runChecks } = require('./health');
+
+describe('Health checks', () => {
+  const tenant = { id: 'default', baseUrl: 'http://odoo.local', port: 8069, db: 'prod', serviceAccount: null };
+
+  const fakeFetch = (results) => jest.fn(async (url, options) => {
+    const { method } = JSON.parse(options.body).params;
+    const result = results[method];
+    if (result instanceof Error) throw result;
+    return { ok: true, json: async () => ({ result }) };
+  });
+
+  test('probes the Odoo version and database', async () => {
+    const fetchImpl = fakeFetch({ version: { server_version: '17.0' }, authenticate: false });
+    const details = await createOdooProbe(tenant, { fetchImpl })();
+
+    expect(details).toEqual({ version: '17.0', database: 'prod' });
+    expect(fetchImpl.mock.calls[0][0]).toBe('http://odoo.local:8069/jsonrpc');
+    expect(JSON.parse(fetchImpl.mock.calls[1][1].body).params.args[0]).toBe('prod');
+  });
+
+  test('fails when the service account is refused or Odoo reports an error', async () => {
+    const account = { ...tenant, serviceAccount: { login: 'svc', password: 'secret' } };
+    await expect(createOdooProbe(account, {
+      fetchImpl: fakeFetch({ version: {}, authenticate: false })
+    })()).rejects.toThrow('Service account login failed');
+
+    const fetchImpl = jest.fn(async () => ({
+      ok: true,
+      json: async () => ({ error: { message: 'Odoo Server Error', data: { message: 'database "prod" does not exist' } } })
+    }));
+    await expect(createOdooProbe(tenant, { fetchImpl })()).rejects.toThrow('does not exist');
+  });
+
+  test('fails, rather than throwing when built, without a valid Odoo URL', async () => {
+    const fetchImpl = jest.fn();
+    const probe = createOdooProbe({ ...tenant, baseUrl: undefined }, { fetchImpl });
+
+    await expect(probe()).rejects.toThrow('Odoo base URL is missing or invalid');
+    expect(fetchImpl).not.toHaveBeenCalled();
+  });
+
+  test('caches successes and failures for the TTL', async () => {
+    const check = jest.fn()
+      .mockResolvedValueOnce({ version: '17.0' })
+      .mockRejectedValueOnce(new Error('down'));
+    const probe = cached(check, 60000);
+
+    expect(await probe()).toEqual({ version: '17.0' });
+    expect(await probe()).toEqual({ version: '17.0', cached: true });
+    expect(check).toHaveBeenCalledTimes(1);
+
+    const failing = cached(jest.fn().mockRejectedValue(new Error('down')), 60000);
+    await expect(failing()).rejects.toThrow('down');
+    await expect(failing()).rejects.toThrow('down');
+  });
+
+  test('reruns the check once the TTL has passed', async () => {
+    const check = jest.fn().mockResolvedValue({});
+    const probe = cached(check, 0);
+    await probe();
+    await probe();
+    expect(check).toHaveBeenCalledTimes(2);
+  });
+
+  test('reports each check and fails when any check fails or times out', async () => {
+    const result = await runChecks({
+      store: async () => ({ type: 'memory' }),
+      odoo: () => new Promise(() => {}),
+      keys: async () => { throw new Error('no key'); }
+    }, { timeoutMs: 20 });
+
+    expect(result.status).toBe('fail');
+    expect(result.checks.store).toMatchObject({ status: 'ok', type: 'memory' });
+    expect(result.checks.odoo).toMatchObject({ status: 'fail', error: 'Timed out after 20ms' });
+    expect(result.checks.keys).toMatchObject({ status: 'fail', error: 'no key' });
+  });
+
+  test('passes when every check passes', async () => {
+    const result = await runChecks({ store: async () => ({}) }, { describeError: () => 'hidden' });
+    expect(result.status).toBe('ok');
+    expect(result.checks.store.durationMs).toEqual(expect.any(Number));
+  });
+});
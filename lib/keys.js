@@ -0,0 +1,246 @@
+/**
+ * Signing Keys
+ * Manages the keys access tokens are signed with and publishes their public
+ * halves as a JWKS document.
+ *
+ * Keys come from PEM files (JWT_PRIVATE_KEY_FILE) or are generated into a key
+ * directory on first start. Generated keys can be rotated; a retired key stays
+ * published until every token it signed has expired. Instances sharing the
+ * directory pick up each other's keys when they rotate and when a token
+ * names a key they do not know yet.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ASYMMETRIC_ALGORITHMS = {
+  RS256: { type: 'rsa', options: { modulusLength: 2048 } },
+  ES256: { type: 'ec', options: { namedCurve: 'P-256' } }
+};
+
+const SUPPORTED_ALGORITHMS = ['HS256', ...Object.keys(ASYMMETRIC_ALGORITHMS)];
+
+// RFC 7638 JWK thumbprint, used as the key ID
+const thumbprint = (publicKey) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+  const members = jwk.kty === 'EC'
+    ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+    : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+};
+
+const toEntry = (privateKey, alg, meta = {}) => {
+  const publicKey = crypto.createPublicKey(privateKey);
+  return {
+    kid: meta.kid || thumbprint(publicKey),
+    alg,
+    privateKey,
+    publicKey,
+    createdAt: meta.createdAt || Date.now(),
+    retiredAt: meta.retiredAt || null
+  };
+};
+
+const toJwk = (entry) => ({
+  ...entry.publicKey.export({ format: 'jwk' }),
+  kid: entry.kid,
+  alg: entry.alg,
+  use: 'sig'
+});
+
+// Shared-secret fallback: nothing is published since the secret must stay private
+const createSecretKeyManager = ({ secret }) => {
+  if (!secret) {
+    throw new Error('JWT_SECRET is required when JWT_ALGORITHM is HS256');
+  }
+
+  const key = { kid: undefined, alg: 'HS256', privateKey: secret, publicKey: secret };
+
+  return {
+    algorithms: ['HS256'],
+    getSigningKey: () => key,
+    getVerificationKey: () => secret,
+    jwks: () => ({ keys: [] }),
+    rotate: () => {
+      throw new Error('HS256 secrets cannot be rotated by the service');
+    },
+    status: () => ({ algorithm: 'HS256', source: 'secret', keys: 1 })
+  };
+};
+
+// Keys supplied by the operator as PEM files; rotation happens by swapping files
+const createFileKeyManager = ({ algorithm, privateKeyFile, publicKeyFiles = [] }) => {
+  const current = toEntry(crypto.createPrivateKey(fs.readFileSync(privateKeyFile)), algorithm);
+  const retired = publicKeyFiles.map((file) => {
+    const publicKey = crypto.createPublicKey(fs.readFileSync(file));
+    return { kid: thumbprint(publicKey), alg: algorithm, publicKey, retiredAt: null };
+  });
+  const all = [current, ...retired];
+
+  return {
+    algorithms: [algorithm],
+    getSigningKey: () => current,
+    getVerificationKey: (kid) => {
+      const entry = all.find(key => key.kid === kid);
+      return entry ? entry.publicKey : null;
+    },
+    jwks: () => ({ keys: all.map(toJwk) }),
+    rotate: () => {
+      throw new Error('Keys loaded from JWT_PRIVATE_KEY_FILE are rotated by replacing the file');
+    },
+    status: () => ({ algorithm, source: 'file', keys: all.length })
+  };
+};
+
+// Keys generated and rotated by the service inside `keyDir`
+const createGeneratedKeyManager = ({ algorithm, keyDir, retentionMs, rotationMs, reloadIntervalMs }) => {
+  const metaFile = path.join(keyDir, 'keys.json');
+  const keyFile = (kid) => path.join(keyDir, `${kid}.pem`);
+  let keys = [];
+  let reloadedAt = 0;
+
+  // Written to a temporary file and renamed, so other instances never read
+  // half a file
+  const save = () => {
+    const meta = keys.map(({ kid, alg, createdAt, retiredAt }) => ({ kid, alg, createdAt, retiredAt }));
+    const tempFile = `${metaFile}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ keys: meta }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempFile, metaFile);
+  };
+
+  const load = () => {
+    if (!fs.existsSync(metaFile)) return [];
+    const { keys: meta } = JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+    return meta
+      .filter(entry => entry.alg === algorithm && fs.existsSync(keyFile(entry.kid)))
+      .map(entry => toEntry(crypto.createPrivateKey(fs.readFileSync(keyFile(entry.kid))), entry.alg, entry));
+  };
+
+  const generate = () => {
+    const { type, options } = ASYMMETRIC_ALGORITHMS[algorithm];
+    const { privateKey } = crypto.generateKeyPairSync(type, options);
+    const entry = toEntry(privateKey, algorithm);
+    fs.writeFileSync(keyFile(entry.kid), privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    return entry;
+  };
+
+  // Forget retired keys once nothing they signed can still be valid
+  const prune = (now = Date.now()) => {
+    const expired = keys.filter(key => key.retiredAt && key.retiredAt + retentionMs <= now);
+    if (expired.length === 0) return false;
+    expired.forEach(key => fs.rmSync(keyFile(key.kid), { force: true }));
+    keys = keys.filter(key => !expired.includes(key));
+    return true;
+  };
+
+  // Add keys other instances saved since this one last loaded
+  const addSavedKeys = () => {
+    const known = new Set(keys.map(key => key.kid));
+    keys = [...keys, ...load().filter(key => !known.has(key.kid))];
+  };
+
+  // Look for a key another instance just rotated to, at most once per
+  // reloadIntervalMs so tokens with made-up key IDs cannot keep us reading
+  const reload = () => {
+    if (Date.now() - reloadedAt < reloadIntervalMs) return false;
+    reloadedAt = Date.now();
+    try {
+      addSavedKeys();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const current = () => keys.find(key => !key.retiredAt);
+
+  const findKey = kid => keys.find(key => key.kid === kid);
+
+  const rotate = () => {
+    const now = Date.now();
+    // Retire keys other instances generated too, e.g. when several started at
+    // once, instead of dropping them from keys.json while they still sign
+    addSavedKeys();
+    keys.forEach((key) => {
+      if (!key.retiredAt) key.retiredAt = now;
+    });
+    const entry = generate();
+    keys.unshift(entry);
+    prune(now);
+    save();
+    return entry;
+  };
+
+  // Pick up keys rotated by other instances sharing `keyDir`, then rotate
+  // when the signing key is older than the rotation interval
+  const maintain = () => {
+    keys = load();
+    const active = current();
+    if (!active || (rotationMs && Date.now() - active.createdAt >= rotationMs)) {
+      return rotate();
+    }
+    if (prune()) save();
+    return active;
+  };
+
+  fs.mkdirSync(keyDir, { recursive: true, mode: 0o700 });
+  maintain();
+
+  return {
+    algorithms: [algorithm],
+    getSigningKey: () => current(),
+    getVerificationKey: (kid) => {
+      const entry = findKey(kid) || (reload() ? findKey(kid) : null);
+      return entry ? entry.publicKey : null;
+    },
+    jwks: () => ({ keys: keys.map(toJwk) }),
+    rotate,
+    maintain,
+    status: () => ({ algorithm, source: 'generated', keys: keys.length })
+  };
+};
+
+/**
+ * Create the key manager for the configured signing algorithm.
+ *
+ * @param {object} options
+ * @param {string} options.algorithm - HS256, RS256 or ES256
+ * @param {string} [options.secret] - shared secret for HS256
+ * @param {string} [options.privateKeyFile] - PEM private key to sign with
+ * @param {string[]} [options.publicKeyFiles] - retired PEM public keys to keep publishing
+ * @param {string} [options.keyDir] - where generated keys are kept
+ * @param {number} [options.tokenTtlMs] - longest lifetime of a signed token
+ * @param {number} [options.rotationMs] - rotate generated keys this often (0 = never)
+ * @param {number} [options.reloadIntervalMs] - least time between reloads of generated keys for an unknown key ID
+ */
+const createKeyManager = (options) => {
+  const { algorithm = 'RS256' } = options;
+
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`JWT_ALGORITHM must be one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+  }
+
+  if (algorithm === 'HS256') {
+    return createSecretKeyManager(options);
+  }
+
+  if (options.privateKeyFile) {
+    return createFileKeyManager(options);
+  }
+
+  return createGeneratedKeyManager({
+    algorithm,
+    keyDir: options.keyDir,
+    // Small margin for clock skew between this service and verifiers
+    retentionMs: (options.tokenTtlMs || 0) + 5 * 60 * 1000,
+    rotationMs: options.rotationMs || 0,
+    reloadIntervalMs: options.reloadIntervalMs === undefined ? 30 * 1000 : options.reloadIntervalMs
+  });
+};
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  createKeyManager,
+  thumbprint
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { createKeyManager, thumbprint } = require('./keys');
+
+describe('Signing keys', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keys-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('generates a key on first start and reuses it afterwards', () => {
+    const first = createKeyManager({ algorithm: 'ES256', keyDir: dir, tokenTtlMs: 3600000 });
+    const second = createKeyManager({ algorithm: 'ES256', keyDir: dir, tokenTtlMs: 3600000 });
+
+    expect(second.getSigningKey().kid).toBe(first.getSigningKey().kid);
+    expect(fs.statSync(path.join(dir, `${first.getSigningKey().kid}.pem`)).mode & 0o777).toBe(0o600);
+  });
+
+  test('publishes public keys without private material', () => {
+    const keys = createKeyManager({ algorithm: 'RS256', keyDir: dir, tokenTtlMs: 3600000 });
+    const [jwk] = keys.jwks().keys;
+
+    expect(jwk).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig', kid: keys.getSigningKey().kid });
+    expect(jwk.d).toBeUndefined();
+  });
+
+  test('signs tokens verifiable with the published JWK', () => {
+    const keys = createKeyManager({ algorithm: 'ES256', keyDir: dir, tokenTtlMs: 3600000 });
+    const signing = keys.getSigningKey();
+    const token = jwt.sign({ sub: '1' }, signing.privateKey, { algorithm: 'ES256', keyid: signing.kid });
+
+    const [jwk] = keys.jwks().keys;
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    expect(jwt.verify(token, publicKey).sub).toBe('1');
+    expect(jwt.decode(token, { complete: true }).header.kid).toBe(jwk.kid);
+  });
+
+  test('keeps retired keys published until their tokens expire', () => {
+    const keys = createKeyManager({ algorithm: 'ES256', keyDir: dir, tokenTtlMs: 3600000 });
+    const oldKid = keys.getSigningKey().kid;
+    const newKid = keys.rotate().kid;
+
+    expect(keys.getSigningKey().kid).toBe(newKid);
+    expect(keys.jwks().keys.map(key => key.kid)).toEqual([newKid, oldKid]);
+    expect(keys.getVerificationKey(oldKid)).not.toBeNull();
+
+    const later = Date.now() + 3600000 + 5 * 60 * 1000;
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(later);
+    try {
+      keys.maintain();
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(keys.jwks().keys.map(key => key.kid)).toEqual([newKid]);
+    expect(fs.existsSync(path.join(dir, `${oldKid}.pem`))).toBe(false);
+  });
+
+  test('rotates automatically once the signing key is too old', () => {
+    const keys = createKeyManager({ algorithm: 'ES256', keyDir: dir, tokenTtlMs: 1000, rotationMs: 60000 });
+    const oldKid = keys.getSigningKey().kid;
+
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60000);
+    try {
+      keys.maintain();
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(keys.getSigningKey().kid).not.toBe(oldKid);
+  });
+
+  test('picks up a key another instance rotated to when a token names it', () => {
+    const mine = createKeyManager({ algorithm: 'ES256', keyDir: dir, tokenTtlMs: 3600000, reloadIntervalMs: 60000 });
+    const other = createKeyManager({ algorithm: 'ES256', keyDir: dir, tokenTtlMs: 3600000 });
+
+    expect(mine.getVerificationKey('made-up')).toBeNull();
+    const rotatedKid = other.rotate().kid;
+
+    // Reloads are rate limited, so the made-up key ID used up this interval
+    expect(mine.getVerificationKey(rotatedKid)).toBeNull();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60000);
+    try {
+      expect(mine.getVerificationKey(rotatedKid)).not.toBeNull();
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  test('keeps the keys of other instances when rotating', () => {
+    const first = createKeyManager({ algorithm: 'ES256', keyDir: dir, tokenTtlMs: 3600000 });
+    const second = createKeyManager({ algorithm: 'ES256', keyDir: dir, tokenTtlMs: 3600000 });
+
+    const firstKid = first.rotate().kid;
+    const secondKid = second.rotate().kid;
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'keys.json'), 'utf8')).keys;
+    expect(saved.map(key => key.kid)).toContain(firstKid);
+    expect(saved.find(key => key.kid === firstKid).retiredAt).not.toBeNull();
+    expect(second.getSigningKey().kid).toBe(secondKid);
+    expect(fs.readdirSync(dir).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('loads keys from PEM files', () => {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const { publicKey: retiredKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const privateKeyFile = path.join(dir, 'private.pem');
+    const retiredKeyFile = path.join(dir, 'retired.pem');
+    fs.writeFileSync(privateKeyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    fs.writeFileSync(retiredKeyFile, retiredKey.export({ type: 'spki', format: 'pem' }));
+
+    const keys = createKeyManager({ algorithm: 'ES256', privateKeyFile, publicKeyFiles: [retiredKeyFile] });
+
+    expect(keys.getSigningKey().kid).toBe(thumbprint(crypto.createPublicKey(privateKey)));
+    expect(keys.jwks().keys).toHaveLength(2);
+    expect(keys.getVerificationKey(thumbprint(retiredKey))).not.toBeNull();
+  });
+
+  test('requires a secret for HS256 and never publishes it', () => {
+    expect(() => createKeyManager({ algorithm: 'HS256' })).toThrow('JWT_SECRET is required');
+    expect(createKeyManager({ algorithm: 'HS256', secret: 's' }).jwks()).toEqual({ keys: [] });
+  });
+
+  test('rejects unsupported algorithms', () => {
+    expect(() => createKeyManager({ algorithm: 'none' })).toThrow('JWT_ALGORITHM must be one of');
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Account Lockout
+ * Brute-force protection per account, next to the per-IP loginLimiter.
+ *
+ * Every rejected login of an account delays its next attempt, doubling from
+ * `baseDelayMs` up to `maxDelayMs`; after `maxFailures` the account is locked
+ * for `lockoutMs`. Failures are forgotten after a successful login or
+ * `lockoutMs` after the first of them. Records live in a session store so
+ * every instance sees them, keyed by a hash rather than the username.
+ *
+ * Failures are counted with the store's atomic `increment`, and an account
+ * has one login attempt in flight at a time, so parallel guesses can neither
+ * overwrite each other's count nor all pass before the first is counted.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+
+const hashAccount = (account) => crypto.createHash('sha256').update(account).digest('hex');
+
+// Store keys of one account: its delay, lock, failure count and attempt in flight
+const keysOf = (account) => {
+  const hash = hashAccount(account);
+  return {
+    delay: hash,
+    lock: `${hash}:locked`,
+    failures: `${hash}:failures`,
+    attempt: `${hash}:attempt`
+  };
+};
+
+/**
+ * @param {object} options
+ * @param {object} options.store - session store for the "lockout" namespace
+ * @param {number} [options.maxFailures] - failures before the account is locked
+ * @param {number} [options.baseDelayMs] - delay after the first failure
+ * @param {number} [options.maxDelayMs] - longest delay between attempts
+ * @param {number} [options.lockoutMs] - how long a lockout lasts
+ * @param {number} [options.attemptTimeoutMs] - longest an unfinished attempt holds the account
+ */
+const createAccountLockout = ({
+  store,
+  maxFailures = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 60 * 1000,
+  lockoutMs = 15 * 60 * 1000,
+  attemptTimeoutMs = 60 * 1000
+}) => {
+  // Milliseconds until the account may try again; 0 when it may now
+  const retryAfterMs = async (account, now = Date.now()) => {
+    const keys = keysOf(account);
+    const [delay, lock] = await Promise.all([store.get(keys.delay), store.get(keys.lock)]);
+    return Math.max(0, ...[delay, lock].filter(Boolean).map(record => record.until - now));
+  };
+
+  // Count a rejected login. Resolves with `{ locked, retryAfterMs }`.
+  const recordFailure = async (account, now = Date.now()) => {
+    const keys = keysOf(account);
+    const { count } = await store.increment(keys.failures, lockoutMs);
+
+    if (count >= maxFailures) {
+      await store.set(keys.lock, { until: now + lockoutMs }, lockoutMs);
+      return { locked: true, retryAfterMs: lockoutMs };
+    }
+
+    const delayMs = Math.min(baseDelayMs * 2 ** (count - 1), maxDelayMs);
+    await store.set(keys.delay, { until: now + delayMs }, lockoutMs);
+    return { locked: false, retryAfterMs: delayMs };
+  };
+
+  const forgetAccount = async (account) => {
+    const keys = keysOf(account);
+    const records = await Promise.all([keys.delay, keys.lock, keys.failures].map(key => store.get(key)));
+    await Promise.all([keys.delay, keys.lock, keys.failures].map(key => store.delete(key)));
+    return records.some(record => record !== null && record !== undefined);
+  };
+
+  const recordSuccess = async (account) => {
+    await forgetAccount(account);
+  };
+
+  // Lift a lockout or delay by hand; resolves with whether there was one
+  const unlock = account => forgetAccount(account);
+
+  /**
+   * Middleware answering 429 with Retry-After while the account named by the
+   * request has to wait or already has an attempt in flight. Requests naming
+   * no account pass through.
+   * @param {Function} accountOf - (req) -> account key, or null
+   * @param {Function} [onBlocked] - (req) -> void, for requests turned away
+   */
+  const guard = (accountOf, onBlocked = () => {}) => async (req, res, next) => {
+    const account = accountOf(req);
+    if (!account) return next();
+
+    const block = (waitMs) => {
+      onBlocked(req);
+      const seconds = Math.max(1, Math.ceil(waitMs / 1000));
+      res.set('Retry-After', String(seconds));
+      return res.status(429).json({
+        error: 'Too many failed login attempts for this account, please try again later',
+        retryAfter: `${seconds} seconds`
+      });
+    };
+
+    const waitMs = await retryAfterMs(account);
+    if (waitMs > 0) return block(waitMs);
+
+    // Claim the account until the response is sent
+    const { attempt } = keysOf(account);
+    const { count } = await store.increment(attempt, attemptTimeoutMs);
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      store.increment(attempt, attemptTimeoutMs, -1).catch(() => {});
+    };
+
+    if (count > 1) {
+      release();
+      return block(baseDelayMs);
+    }
+    res.once('close', release);
+    return next();
+  };
+
+  return {
+    guard,
+    recordFailure,
+    recordSuccess,
+    retryAfterMs,
+    unlock
+  };
+};
+
+/**
+ * Matcher for trusted networks, e.g. an office behind one NAT address.
+ * @param {string[]} entries - addresses or CIDR ranges, IPv4 or IPv6
+ */
+const createNetworkAllowlist = (entries = []) => {
+  const list = new net.BlockList();
+
+  entries.forEach((entry) => {
+    const [address, prefix] = entry.trim().split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) {
+      throw new Error(`Invalid trusted network "${entry}"`);
+    }
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      list.addSubnet(address, Number(prefix), type);
+    }
+  });
+
+  return (ip) => {
+    if (!ip || entries.length === 0) return false;
+    // IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+    const address = ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+    return list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  };
+};
+
+module.exports = {
+  createAccountLockout,
+  createNetworkAllowlist
+};
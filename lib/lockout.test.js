@@ -0,0 +1,115 @@
+const express = require('express');
+const request = require('supertest');
+const { MemorySessionStore } = require('./session-store');
+const { createAccountLockout, createNetworkAllowlist } = require('./lockout');
+
+describe('Account lockout', () => {
+  let store;
+  let lockout;
+
+  beforeEach(() => {
+    store = new MemorySessionStore();
+    lockout = createAccountLockout({ store, maxFailures: 4, baseDelayMs: 1000, maxDelayMs: 3000, lockoutMs: 60000 });
+  });
+
+  test('delays the next attempt progressively, then locks the account', async () => {
+    const now = Date.now();
+    expect(await lockout.recordFailure('acme:jane', now)).toEqual({ locked: false, retryAfterMs: 1000 });
+    expect(await lockout.recordFailure('acme:jane', now)).toEqual({ locked: false, retryAfterMs: 2000 });
+    expect(await lockout.recordFailure('acme:jane', now)).toEqual({ locked: false, retryAfterMs: 3000 });
+    expect(await lockout.retryAfterMs('acme:jane', now + 1000)).toBe(2000);
+
+    expect(await lockout.recordFailure('acme:jane', now)).toEqual({ locked: true, retryAfterMs: 60000 });
+    expect(await lockout.retryAfterMs('acme:jane', now + 30000)).toBe(30000);
+
+    // Other accounts are not affected
+    expect(await lockout.retryAfterMs('acme:john', now)).toBe(0);
+  });
+
+  test('forgets failures after a successful login or an unlock', async () => {
+    await lockout.recordFailure('acme:jane');
+    await lockout.recordSuccess('acme:jane');
+    expect(await lockout.retryAfterMs('acme:jane')).toBe(0);
+    expect(await lockout.recordFailure('acme:jane')).toEqual({ locked: false, retryAfterMs: 1000 });
+
+    expect(await lockout.unlock('acme:jane')).toBe(true);
+    expect(await lockout.unlock('acme:jane')).toBe(false);
+    expect(await lockout.retryAfterMs('acme:jane')).toBe(0);
+  });
+
+  test('does not keep usernames in the store', async () => {
+    await lockout.recordFailure('acme:jane');
+    const [[key]] = await store.entries();
+    expect(key).not.toContain('jane');
+  });
+
+  test('answers 429 with Retry-After while the account has to wait', async () => {
+    const app = express();
+    app.use(express.json());
+    const onBlocked = jest.fn();
+    app.post('/login', lockout.guard(req => (req.body.username ? `acme:${req.body.username}` : null), onBlocked), (req, res) => {
+      res.json({ success: true });
+    });
+
+    await lockout.recordFailure('acme:jane');
+    const response = await request(app).post('/login').send({ username: 'jane' }).expect(429);
+    expect(response.headers['retry-after']).toBe('1');
+    expect(onBlocked).toHaveBeenCalledTimes(1);
+
+    await request(app).post('/login').send({ username: 'john' }).expect(200);
+    await request(app).post('/login').send({}).expect(200);
+  });
+
+  test('counts parallel failures without losing any', async () => {
+    const results = await Promise.all(Array.from({ length: 20 }, () => lockout.recordFailure('acme:jane')));
+
+    expect(results.filter(result => result.locked)).toHaveLength(17);
+    expect(await lockout.retryAfterMs('acme:jane')).toBeGreaterThan(59000);
+  });
+
+  test('lets one attempt per account through at a time', async () => {
+    const app = express();
+    app.use(express.json());
+    let finish;
+    const attempted = new Promise((resolve) => {
+      finish = resolve;
+    });
+    const handler = jest.fn(async (req, res) => {
+      await attempted;
+      res.status(401).json({ error: 'Authentication failed' });
+    });
+    app.post('/login', lockout.guard(req => `acme:${req.body.username}`), handler);
+
+    // Started now, answered once `finish` is called
+    const first = request(app).post('/login').send({ username: 'jane' }).then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const burst = await Promise.all(Array.from({ length: 5 }, () => request(app).post('/login').send({ username: 'jane' })));
+    expect(burst.map(response => response.status)).toEqual([429, 429, 429, 429, 429]);
+
+    finish();
+    expect((await first).status).toBe(401);
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    // The account is free again once the attempt answered
+    await new Promise(resolve => setTimeout(resolve, 10));
+    await request(app).post('/login').send({ username: 'jane' }).expect(401);
+  });
+});
+
+describe('Trusted networks', () => {
+  test('matches addresses and CIDR ranges', () => {
+    const isTrusted = createNetworkAllowlist(['10.0.0.0/8', '203.0.113.7', '2001:db8::/32']);
+
+    expect(isTrusted('10.1.2.3')).toBe(true);
+    expect(isTrusted('::ffff:10.1.2.3')).toBe(true);
+    expect(isTrusted('203.0.113.7')).toBe(true);
+    expect(isTrusted('2001:db8::1')).toBe(true);
+    expect(isTrusted('203.0.113.8')).toBe(false);
+    expect(isTrusted(undefined)).toBe(false);
+    expect(createNetworkAllowlist([])('10.1.2.3')).toBe(false);
+  });
+
+  test('rejects invalid entries', () => {
+    expect(() => createNetworkAllowlist(['office'])).toThrow('Invalid trusted network');
+  });
+});
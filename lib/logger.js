@@ -0,0 +1,111 @@
+/**
+ * Logger
+ * JSON log lines with levels, tied to the request they were written for.
+ *
+ * Each request gets an ID, taken from its X-Request-Id header or generated,
+ * which is echoed in the response, added to error bodies and to every line
+ * logged while the request is handled, so one request can be followed
+ * through the logs. Error messages and fields with sensitive names are
+ * redacted before they are written.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+// Words that must not reach logs or clients
+const SENSITIVE = /password|token|secret|key|database|connection/i;
+
+// Accept IDs from proxies and clients as long as they are plain tokens
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+const redact = (text) => String(text).replace(new RegExp(SENSITIVE.source, 'gi'), '[REDACTED]');
+
+// Error message safe to log or send back
+const sanitizeError = (error) => redact((error && error.message) || 'An error occurred');
+
+// ID of the request being handled, or null outside of one
+const currentRequestId = () => {
+  const context = requestContext.getStore();
+  return context ? context.requestId : null;
+};
+
+// Headers passing the request ID on to outbound calls
+const requestIdHeaders = () => {
+  const requestId = currentRequestId();
+  return requestId ? { 'X-Request-Id': requestId } : {};
+};
+
+/**
+ * Middleware giving each request its ID. Mount it first so everything after
+ * runs in the request's context.
+ */
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  // Error bodies carry the ID, so a client can quote it in a support request
+  const json = res.json.bind(res);
+  res.json = (payload) => (
+    res.statusCode >= 400 && payload && typeof payload === 'object' && !Array.isArray(payload)
+      ? json({ ...payload, requestId })
+      : json(payload)
+  );
+
+  requestContext.run({ requestId }, next);
+};
+
+// Errors are redacted like messages, including odoo-await's, which rejects with
+// plain strings
+const redactFields = (fields) => Object.fromEntries(Object.entries(fields).map(([name, value]) => {
+  if (value instanceof Error) return [name, sanitizeError(value)];
+  if (name === 'error' && typeof value === 'string') return [name, redact(value)];
+  if (SENSITIVE.test(name)) return [name, '[REDACTED]'];
+  return [name, value];
+}));
+
+const writeLine = (line, level) => {
+  (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(line);
+};
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.level] - least severe level written, one of LOG_LEVELS
+ * @param {Function} [options.write] - (line, level) -> void; stderr for errors and warnings, stdout otherwise
+ */
+const createLogger = ({ level = 'info', write = writeLine } = {}) => {
+  const threshold = LOG_LEVELS.indexOf(level);
+  if (threshold === -1) {
+    throw new Error(`LOG_LEVEL must be one of: ${LOG_LEVELS.join(', ')}`);
+  }
+
+  const log = entryLevel => (msg, fields = {}) => {
+    if (LOG_LEVELS.indexOf(entryLevel) > threshold) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      requestId: currentRequestId() || undefined,
+      msg,
+      ...redactFields(fields)
+    };
+    write(`${JSON.stringify(entry)}\n`, entryLevel);
+  };
+
+  return Object.fromEntries(LOG_LEVELS.map(name => [name, log(name)]));
+};
+
+module.exports = {
+  LOG_LEVELS,
+  assignRequestId,
+  createLogger,
+  currentRequestId,
+  redact,
+  requestIdHeaders,
+  sanitizeError
+};
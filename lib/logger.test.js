@@ -0,0 +1,104 @@
+const express = require('express');
+const request = require('supertest');
+const {
+  assignRequestId,
+  createLogger,
+  currentRequestId,
+  requestIdHeaders,
+  sanitizeError
+} = require('./logger');
+
+describe('Logger', () => {
+  const capture = (level) => {
+    const lines = [];
+    const logger = createLogger({ level, write: line => lines.push(JSON.parse(line)) });
+    return { logger, lines };
+  };
+
+  test('writes JSON lines at or above the configured level', () => {
+    const { logger, lines } = capture('info');
+
+    logger.debug('Not written');
+    logger.info('Token issued', { clientId: 'erp' });
+    logger.error('Failed', { status: 502 });
+
+    expect(lines).toEqual([
+      { time: expect.any(String), level: 'info', msg: 'Token issued', clientId: 'erp' },
+      { time: expect.any(String), level: 'error', msg: 'Failed', status: 502 }
+    ]);
+  });
+
+  test('rejects unknown levels', () => {
+    expect(() => createLogger({ level: 'verbose' })).toThrow('LOG_LEVEL must be one of');
+  });
+
+  test('redacts errors and sensitive fields', () => {
+    const { logger, lines } = capture('debug');
+
+    logger.error('Login error', {
+      error: new Error('Invalid password for database prod'),
+      refreshToken: 'abc',
+      apiKey: 'xyz'
+    });
+
+    expect(lines[0]).toMatchObject({
+      error: 'Invalid [REDACTED] for [REDACTED] prod',
+      refreshToken: '[REDACTED]',
+      apiKey: '[REDACTED]'
+    });
+    expect(sanitizeError({})).toBe('An error occurred');
+  });
+
+  test('redacts errors thrown as strings', () => {
+    const { logger, lines } = capture('debug');
+
+    logger.warn('Login error', { error: 'Error connecting to database. This is probably due to invalid credentials.' });
+
+    expect(lines[0].error).toBe('Error connecting to [REDACTED]. This is probably due to invalid credentials.');
+  });
+});
+
+describe('Request IDs', () => {
+  const lines = [];
+  const logger = createLogger({ write: line => lines.push(JSON.parse(line)) });
+
+  const app = express();
+  app.use(assignRequestId);
+  app.get('/ok', async (req, res) => {
+    await new Promise(resolve => setImmediate(resolve));
+    logger.info('Handled');
+    res.json({ requestId: currentRequestId(), headers: requestIdHeaders() });
+  });
+  app.get('/fail', (req, res) => res.status(502).json({ error: 'Odoo unavailable' }));
+
+  beforeEach(() => {
+    lines.length = 0;
+  });
+
+  test('uses the incoming X-Request-Id in the response and log lines', async () => {
+    const response = await request(app).get('/ok').set('X-Request-Id', 'edge-42').expect(200);
+
+    expect(response.headers['x-request-id']).toBe('edge-42');
+    expect(response.body).toEqual({ requestId: 'edge-42', headers: { 'X-Request-Id': 'edge-42' } });
+    expect(lines).toEqual([expect.objectContaining({ requestId: 'edge-42', msg: 'Handled' })]);
+  });
+
+  test('generates an ID when there is none or it is not a plain token', async () => {
+    const first = await request(app).get('/ok').expect(200);
+    const second = await request(app).get('/ok').set('X-Request-Id', 'bad idé').expect(200);
+
+    expect(first.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(second.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(first.headers['x-request-id']).not.toBe(second.headers['x-request-id']);
+  });
+
+  test('adds the ID to error responses', async () => {
+    const response = await request(app).get('/fail').set('X-Request-Id', 'edge-43').expect(502);
+    expect(response.body).toEqual({ error: 'Odoo unavailable', requestId: 'edge-43' });
+  });
+
+  test('has no request ID outside of a request', () => {
+    expect(currentRequestId()).toBeNull();
+    expect(requestIdHeaders()).toEqual({});
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Login Policy
+ * What users may enter as their login, per tenant: an email address, a
+ * free-form Odoo login such as `admin`, or either; and how it is normalized
+ * before it is sent to Odoo.
+ *
+ * Odoo matches logins as they are stored, so normalization rules are only
+ * applied where a tenant turns them on. Passwords and API keys are never
+ * touched here and reach Odoo exactly as typed.
+ */
+
+const LOGIN_IDENTIFIERS = ['email', 'login', 'both'];
+
+const MAX_LOGIN_LENGTH = 100;
+
+const isEmail = value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+const normalizers = {
+  lowercase: login => login.toLowerCase(),
+  // jane+crm@example.com -> jane@example.com
+  strip_plus_addressing: login => (isEmail(login) ? login.replace(/\+[^@]*(?=@)/, '') : login)
+};
+
+const NORMALIZATION_RULES = Object.keys(normalizers);
+
+// Accept a comma-separated list such as LOGIN_NORMALIZE, or an array
+const parseRules = (value) => {
+  const rules = Array.isArray(value)
+    ? value
+    : String(value || '').split(',').map(rule => rule.trim()).filter(Boolean);
+  const unknown = rules.filter(rule => !NORMALIZATION_RULES.includes(rule));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown login normalization rule: ${unknown.join(', ')} (expected ${NORMALIZATION_RULES.join(', ')})`);
+  }
+  return rules;
+};
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.identifier] - one of LOGIN_IDENTIFIERS
+ * @param {string[]|string} [options.normalize] - names of NORMALIZATION_RULES, applied in order
+ */
+const createLoginPolicy = ({ identifier = 'both', normalize = [] } = {}) => {
+  if (!LOGIN_IDENTIFIERS.includes(identifier)) {
+    throw new Error(`Login identifier must be one of: ${LOGIN_IDENTIFIERS.join(', ')}`);
+  }
+  const rules = parseRules(normalize);
+
+  // Why the login cannot be used, or null when it can
+  const check = (value) => {
+    const login = typeof value === 'string' ? value.trim() : '';
+    if (!login) return 'Login is required';
+    if (login.length > MAX_LOGIN_LENGTH) return `Login must be at most ${MAX_LOGIN_LENGTH} characters`;
+    if (/[\u0000-\u001f\u007f]/.test(login)) return 'Login contains invalid characters';
+    if (identifier === 'email' && !isEmail(login)) return 'Login must be a valid email';
+    return null;
+  };
+
+  // The login as it is sent to Odoo; in `login` mode an @ has no special meaning
+  const normalizeLogin = value => rules
+    .filter(rule => identifier !== 'login' || rule !== 'strip_plus_addressing')
+    .reduce((login, rule) => normalizers[rule](login), value.trim());
+
+  return {
+    identifier,
+    rules,
+    check,
+    normalize: normalizeLogin
+  };
+};
+
+module.exports = {
+  LOGIN_IDENTIFIERS,
+  NORMALIZATION_RULES,
+  createLoginPolicy
+};
@@ -0,0 +1,65 @@
+const { createLoginPolicy } = require('./login-policy');
+
+describe('Login policy', () => {
+  test('email mode only accepts email addresses', () => {
+    const policy = createLoginPolicy({ identifier: 'email' });
+
+    expect(policy.check('jane@example.com')).toBeNull();
+    expect(policy.check('admin')).toBe('Login must be a valid email');
+    expect(policy.check('jane@localhost')).toBe('Login must be a valid email');
+  });
+
+  test('login mode accepts free-form Odoo logins', () => {
+    const policy = createLoginPolicy({ identifier: 'login' });
+
+    expect(policy.check('admin')).toBeNull();
+    expect(policy.check('jane@example.com')).toBeNull();
+    expect(policy.check('Jane Doe')).toBeNull();
+  });
+
+  test('both mode accepts either', () => {
+    const policy = createLoginPolicy();
+
+    expect(policy.identifier).toBe('both');
+    expect(policy.check('admin')).toBeNull();
+    expect(policy.check('jane@example.com')).toBeNull();
+  });
+
+  test('rejects empty, overlong and control character logins in every mode', () => {
+    ['email', 'login', 'both'].forEach((identifier) => {
+      const policy = createLoginPolicy({ identifier });
+      expect(policy.check('  ')).toBe('Login is required');
+      expect(policy.check(undefined)).toBe('Login is required');
+      expect(policy.check(['admin'])).toBe('Login is required');
+      expect(policy.check(`${'a'.repeat(95)}@x.com`)).toBe('Login must be at most 100 characters');
+      expect(policy.check('adm\nin@example.com')).toBe('Login contains invalid characters');
+    });
+  });
+
+  test('only trims logins unless rules are turned on', () => {
+    const policy = createLoginPolicy();
+    expect(policy.normalize('  Jane+crm@Example.com ')).toBe('Jane+crm@Example.com');
+  });
+
+  test('lowercases and strips plus-addressing when configured', () => {
+    const policy = createLoginPolicy({ identifier: 'email', normalize: 'lowercase, strip_plus_addressing' });
+
+    expect(policy.rules).toEqual(['lowercase', 'strip_plus_addressing']);
+    expect(policy.normalize('Jane+CRM@Example.com')).toBe('jane@example.com');
+    expect(policy.normalize('jane@example.com')).toBe('jane@example.com');
+  });
+
+  test('strips plus-addressing from emails only, and not in login mode', () => {
+    const both = createLoginPolicy({ normalize: ['strip_plus_addressing'] });
+    expect(both.normalize('jane+crm@example.com')).toBe('jane@example.com');
+    expect(both.normalize('c++dev')).toBe('c++dev');
+
+    const login = createLoginPolicy({ identifier: 'login', normalize: ['lowercase', 'strip_plus_addressing'] });
+    expect(login.normalize('Jane+CRM@Example.com')).toBe('jane+crm@example.com');
+  });
+
+  test('rejects unknown modes and rules', () => {
+    expect(() => createLoginPolicy({ identifier: 'phone' })).toThrow('Login identifier must be one of');
+    expect(() => createLoginPolicy({ normalize: 'lowercase,unaccent' })).toThrow('Unknown login normalization rule: unaccent');
+  });
+});
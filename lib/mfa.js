@@ -0,0 +1,103 @@
+/**
+ * Second Factor
+ * Challenge tokens for the TOTP step of the login.
+ *
+ * After the password checks out, users with TOTP get a short-lived challenge
+ * token instead of a session. Trading it in needs a valid code; each challenge
+ * allows a few attempts, and each code is accepted only once per user. Both
+ * are claimed with the store's atomic `increment`, so concurrent requests
+ * cannot share an attempt or a code.
+ */
+
+const crypto = require('crypto');
+const { verifyTotp } = require('./totp');
+
+const STEP_SECONDS = 30;
+const DRIFT_STEPS = 1;
+
+class MfaError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'MfaError';
+    this.code = code;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * @param {object} options
+ * @param {object} options.store - session store for the "mfa" namespace
+ * @param {number} options.ttlMs - lifetime of a challenge
+ * @param {number} [options.maxAttempts] - wrong codes before a challenge is dropped
+ */
+const createMfaService = ({ store, ttlMs, maxAttempts = 5 }) => {
+  const challengeKey = (token) => `challenge:${hashToken(token)}`;
+  const attemptsKey = (token) => `attempts:${hashToken(token)}`;
+  const usedKey = (subject, step) => `used:${subject}:${step}`;
+
+  // Start a challenge; `data` must name a `subject` (the user) and is handed
+  // back once the code checks out
+  const createChallenge = async (data) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    await store.set(challengeKey(token), {
+      data,
+      expiresAt: Date.now() + ttlMs
+    }, ttlMs);
+    return { token, expiresIn: Math.round(ttlMs / 1000) };
+  };
+
+  // Check `code` against the challenge and consume it. `getSecret(data)`
+  // resolves with the user's base32 TOTP secret.
+  const verifyChallenge = async (token, code, getSecret) => {
+    if (!token || typeof token !== 'string') {
+      throw new MfaError('Challenge token required', 'invalid_request');
+    }
+
+    const key = challengeKey(token);
+    const record = await store.get(key);
+    if (!record || record.expiresAt <= Date.now()) {
+      throw new MfaError('Invalid or expired challenge', 'invalid_challenge');
+    }
+
+    // Claim an attempt before checking the code
+    const { count: attempts } = await store.increment(attemptsKey(token), record.expiresAt - Date.now());
+    if (attempts > maxAttempts) {
+      await store.delete(key);
+      throw new MfaError('Invalid or expired challenge', 'invalid_challenge');
+    }
+
+    const secret = await getSecret(record.data);
+    const step = secret ? verifyTotp(secret, code, { step: STEP_SECONDS, window: DRIFT_STEPS }) : null;
+
+    if (step === null) {
+      if (attempts >= maxAttempts) {
+        await store.delete(key);
+      }
+      throw new MfaError('Invalid code', 'invalid_code');
+    }
+
+    // A code stays valid for a few steps; only its first use counts until then
+    const { count: uses } = await store.increment(
+      usedKey(record.data.subject, step),
+      (2 * DRIFT_STEPS + 1) * STEP_SECONDS * 1000
+    );
+    if (uses > 1) {
+      throw new MfaError('Code already used', 'code_reused');
+    }
+    await store.delete(key);
+    await store.delete(attemptsKey(token));
+
+    return record.data;
+  };
+
+  return {
+    createChallenge,
+    verifyChallenge
+  };
+};
+
+module.exports = {
+  MfaError,
+  createMfaService
+};
@@ -0,0 +1,80 @@
+const { MemorySessionStore } = require('./session-store');
+const { createMfaService } = require('./mfa');
+const { generateTotp } = require('./totp');
+
+const secret = 'JBSWY3DPEHPK3PXP';
+const data = { subject: 'default:7', user: { id: 7, login: 'jane' } };
+
+describe('Second factor challenges', () => {
+  let store;
+  let mfa;
+  const getSecret = () => secret;
+
+  beforeEach(() => {
+    store = new MemorySessionStore();
+    mfa = createMfaService({ store, ttlMs: 60000, maxAttempts: 3 });
+  });
+
+  test('hands back the challenge data for a valid code, once', async () => {
+    const { token, expiresIn } = await mfa.createChallenge(data);
+    expect(expiresIn).toBe(60);
+
+    await expect(mfa.verifyChallenge(token, generateTotp(secret), getSecret)).resolves.toEqual(data);
+    await expect(mfa.verifyChallenge(token, generateTotp(secret), getSecret))
+      .rejects.toMatchObject({ code: 'invalid_challenge' });
+  });
+
+  test('refuses a code that was already used for the user', async () => {
+    const code = generateTotp(secret);
+    const first = await mfa.createChallenge(data);
+    await mfa.verifyChallenge(first.token, code, getSecret);
+
+    const second = await mfa.createChallenge(data);
+    await expect(mfa.verifyChallenge(second.token, code, getSecret)).rejects.toMatchObject({ code: 'code_reused' });
+  });
+
+  test('drops the challenge after too many wrong codes', async () => {
+    const { token } = await mfa.createChallenge(data);
+    const wrong = generateTotp(secret) === '000000' ? '111111' : '000000';
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await expect(mfa.verifyChallenge(token, wrong, getSecret)).rejects.toMatchObject({ code: 'invalid_code' });
+    }
+    await expect(mfa.verifyChallenge(token, generateTotp(secret), getSecret))
+      .rejects.toMatchObject({ code: 'invalid_challenge' });
+  });
+
+  test('accepts a code once when it is sent concurrently', async () => {
+    const { token } = await mfa.createChallenge(data);
+    const code = generateTotp(secret);
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => mfa.verifyChallenge(token, code, getSecret)));
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+  });
+
+  test('checks no more codes than allowed when they are sent concurrently', async () => {
+    const { token } = await mfa.createChallenge(data);
+    const wrong = generateTotp(secret) === '000000' ? '111111' : '000000';
+    const getCheckedSecret = jest.fn(getSecret);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 20 }, () => mfa.verifyChallenge(token, wrong, getCheckedSecret))
+    );
+    expect(getCheckedSecret).toHaveBeenCalledTimes(3);
+    expect(results.filter(result => result.reason.code === 'invalid_code')).toHaveLength(3);
+  });
+
+  test('rejects missing tokens and users without a secret', async () => {
+    await expect(mfa.verifyChallenge(undefined, '123456', getSecret)).rejects.toMatchObject({ code: 'invalid_request' });
+
+    const { token } = await mfa.createChallenge(data);
+    await expect(mfa.verifyChallenge(token, generateTotp(secret), () => null))
+      .rejects.toMatchObject({ code: 'invalid_code' });
+  });
+
+  test('does not store raw challenge tokens', async () => {
+    const { token } = await mfa.createChallenge(data);
+    const keys = (await store.entries()).map(([key]) => key);
+    expect(keys.some(key => key.includes(token))).toBe(false);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Odoo Client Pool
+ * Live Odoo clients per user and tenant, built on demand.
+ *
+ * Sessions only name their user, so they can live in any session store. The
+ * credentials to log in again stay in this process's memory, next to at most
+ * `maxClients` connected clients: the least recently used client is dropped
+ * when the pool is full, idle clients are dropped by `evictIdle`, and a client
+ * Odoo stops accepting is rebuilt once before the call fails.
+ */
+
+class OdooPoolError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'OdooPoolError';
+    this.code = code;
+  }
+}
+
+// Pool key of a session user or token claims user
+const poolKey = (user) => `${user.tenant}:${user.id}`;
+
+// Odoo answers these once it no longer accepts a client's login
+const isSessionExpired = (error) => {
+  const text = `${error && error.message} ${error && error.data && error.data.name}`;
+  return /session.?expired|access.?denied/i.test(text);
+};
+
+// odoo-await rejects a refused login (with a plain string) instead of
+// resolving a falsy uid; transport errors and other faults are not refusals
+const isLoginRejected = (error) => {
+  const text = error instanceof Error ? `${error.message} ${error.faultString || ''}` : String(error);
+  return /invalid credentials|access.?denied/i.test(text);
+};
+
+/**
+ * @param {object} options
+ * @param {Function} options.connect - (credentials) -> { odoo, uid }; resolves a falsy `uid` or rejects when refused
+ * @param {number} [options.maxClients] - connected clients kept at once
+ * @param {number} [options.idleTimeoutMs] - unused clients are dropped after this
+ * @param {number} [options.credentialTtlMs] - unused credentials are forgotten after this
+ */
+const createOdooClientPool = ({
+  connect,
+  maxClients = 100,
+  idleTimeoutMs = 15 * 60 * 1000,
+  credentialTtlMs = 24 * 60 * 60 * 1000
+}) => {
+  // key -> { credentials, odoo, pending, lastUsed }
+  const entries = new Map();
+
+  const connectedCount = () => [...entries.values()].filter(entry => entry.odoo).length;
+
+  // Make room for one more client by dropping the least recently used ones
+  const makeRoom = () => {
+    const connected = [...entries.values()]
+      .filter(entry => entry.odoo)
+      .sort((a, b) => a.lastUsed - b.lastUsed);
+    connected.slice(0, Math.max(0, connected.length - maxClients + 1)).forEach((entry) => {
+      entry.odoo = null;
+    });
+  };
+
+  const forget = (key) => entries.delete(key);
+
+  // Keep a user's credentials, replacing older ones, and optionally the client
+  // the login already connected
+  const remember = (key, credentials, odoo = null) => {
+    if (odoo) makeRoom();
+    entries.set(key, { credentials, odoo, pending: null, lastUsed: Date.now() });
+  };
+
+  const build = (key, entry) => {
+    if (!entry.pending) {
+      entry.pending = (async () => {
+        try {
+          const { odoo, uid } = await connect(entry.credentials).catch((error) => {
+            if (isLoginRejected(error)) return { odoo: null, uid: false };
+            throw error;
+          });
+          if (!uid) {
+            // Password changed or user archived in Odoo
+            forget(key);
+            throw new OdooPoolError('Odoo no longer accepts the stored credentials', 'login_failed');
+          }
+          makeRoom();
+          entry.odoo = odoo;
+          return odoo;
+        } finally {
+          entry.pending = null;
+        }
+      })();
+    }
+    return entry.pending;
+  };
+
+  // Rebuild the client once when Odoo reports the login expired
+  const wrap = (key, odoo) => {
+    const wrapped = Object.create(odoo);
+    wrapped.execute_kw = async (...args) => {
+      // odoo-await unshifts db, uid and password into the params array it is
+      // given, so every attempt gets its own copy
+      const attemptArgs = () => args.map(arg => (Array.isArray(arg) ? [...arg] : arg));
+      try {
+        return await odoo.execute_kw.apply(wrapped, attemptArgs());
+      } catch (error) {
+        const current = entries.get(key);
+        if (!isSessionExpired(error) || !current) throw error;
+        if (current.odoo === odoo) current.odoo = null;
+        const fresh = current.odoo || await build(key, current);
+        return fresh.execute_kw(...attemptArgs());
+      }
+    };
+    return wrapped;
+  };
+
+  /**
+   * The user's client, connecting it when the pool has none. Throws
+   * OdooPoolError when the pool has no credentials for the user or Odoo
+   * refuses them.
+   */
+  const acquire = async (key) => {
+    const entry = entries.get(key);
+    if (!entry || Date.now() - entry.lastUsed >= credentialTtlMs) {
+      forget(key);
+      throw new OdooPoolError('No Odoo credentials for this user', 'no_credentials');
+    }
+
+    entry.lastUsed = Date.now();
+    const odoo = entry.odoo || await build(key, entry);
+    return wrap(key, odoo);
+  };
+
+  // Drop clients idle for longer than idleTimeoutMs and credentials unused for
+  // longer than credentialTtlMs. Returns the number of clients dropped.
+  const evictIdle = (now = Date.now()) => {
+    let dropped = 0;
+    for (const [key, entry] of entries) {
+      const idle = now - entry.lastUsed;
+      if (entry.odoo && idle >= idleTimeoutMs) {
+        entry.odoo = null;
+        dropped++;
+      }
+      if (idle >= credentialTtlMs) {
+        forget(key);
+      }
+    }
+    return dropped;
+  };
+
+  return {
+    acquire,
+    evictIdle,
+    forget,
+    remember,
+    stats: () => ({ users: entries.size, clients: connectedCount() })
+  };
+};
+
+module.exports = {
+  OdooPoolError,
+  createOdooClientPool,
+  isLoginRejected,
+  isSessionExpired,
+  poolKey
+};
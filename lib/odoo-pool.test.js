@@ -0,0 +1,155 @@
+const { createOdooClientPool, isLoginRejected, isSessionExpired, poolKey } = require('./odoo-pool');
+
+describe('Odoo client pool', () => {
+  const fakeClient = (name) => ({
+    name,
+    execute_kw: jest.fn(async () => name),
+    search(model) {
+      return this.execute_kw(model, 'search', [[]]);
+    }
+  });
+
+  const setup = (options = {}) => {
+    let built = 0;
+    const connect = jest.fn(async (credentials) => (
+      credentials.password === 'wrong'
+        ? { odoo: null, uid: false }
+        : { odoo: fakeClient(`client-${++built}`), uid: 7 }
+    ));
+    return { connect, pool: createOdooClientPool({ connect, ...options }) };
+  };
+
+  const credentials = { login: 'user@example.com', password: 'secret' };
+
+  test('keys clients by tenant and user', () => {
+    expect(poolKey({ id: 7, tenant: 'acme' })).toBe('acme:7');
+  });
+
+  test('reuses the client a login connected and builds one only when needed', async () => {
+    const { pool, connect } = setup();
+    const loginClient = fakeClient('login');
+    pool.remember('acme:7', credentials, loginClient);
+
+    expect(await (await pool.acquire('acme:7')).search('res.partner')).toBe('login');
+    expect(connect).not.toHaveBeenCalled();
+
+    pool.remember('acme:8', credentials);
+    const [first, second] = await Promise.all([pool.acquire('acme:8'), pool.acquire('acme:8')]);
+    expect(await first.search('res.partner')).toBe('client-1');
+    expect(await second.search('res.partner')).toBe('client-1');
+    expect(connect).toHaveBeenCalledTimes(1);
+    expect(connect).toHaveBeenCalledWith(credentials);
+  });
+
+  test('fails without credentials and forgets credentials Odoo refuses', async () => {
+    const { pool } = setup();
+    await expect(pool.acquire('acme:7')).rejects.toMatchObject({ name: 'OdooPoolError', code: 'no_credentials' });
+
+    pool.remember('acme:7', { ...credentials, password: 'wrong' });
+    await expect(pool.acquire('acme:7')).rejects.toMatchObject({ code: 'login_failed' });
+    await expect(pool.acquire('acme:7')).rejects.toMatchObject({ code: 'no_credentials' });
+  });
+
+  test('treats a rejected login as refused credentials', async () => {
+    const { pool } = setup({
+      connect: jest.fn(async () => {
+        throw 'Error connecting to database. This is probably due to invalid credentials.';
+      })
+    });
+
+    pool.remember('acme:7', credentials);
+    await expect(pool.acquire('acme:7')).rejects.toMatchObject({ code: 'login_failed' });
+    await expect(pool.acquire('acme:7')).rejects.toMatchObject({ code: 'no_credentials' });
+  });
+
+  test('passes connection errors through without forgetting the credentials', async () => {
+    const { pool } = setup({
+      connect: jest.fn(async () => {
+        throw new Error('connect ECONNREFUSED 10.0.0.5:8069');
+      })
+    });
+
+    pool.remember('acme:7', credentials);
+    await expect(pool.acquire('acme:7')).rejects.toThrow('ECONNREFUSED');
+    await expect(pool.acquire('acme:7')).rejects.toThrow('ECONNREFUSED');
+  });
+
+  test('drops the least recently used client when full', async () => {
+    const { pool, connect } = setup({ maxClients: 2 });
+    pool.remember('acme:1', credentials);
+    pool.remember('acme:2', credentials);
+    pool.remember('acme:3', credentials);
+
+    await pool.acquire('acme:1');
+    await pool.acquire('acme:2');
+    await pool.acquire('acme:3');
+    expect(pool.stats()).toEqual({ users: 3, clients: 2 });
+
+    // acme:1 was dropped and is rebuilt from its credentials
+    await pool.acquire('acme:1');
+    expect(connect).toHaveBeenCalledTimes(4);
+  });
+
+  test('evicts idle clients and forgets stale credentials', async () => {
+    const { pool } = setup({ idleTimeoutMs: 1000, credentialTtlMs: 5000 });
+    pool.remember('acme:7', credentials, fakeClient('login'));
+
+    expect(pool.evictIdle(Date.now() + 2000)).toBe(1);
+    expect(pool.stats()).toEqual({ users: 1, clients: 0 });
+
+    pool.evictIdle(Date.now() + 6000);
+    expect(pool.stats()).toEqual({ users: 0, clients: 0 });
+  });
+
+  test('reconnects once when Odoo reports the session expired', async () => {
+    const { pool, connect } = setup();
+    const stale = fakeClient('stale');
+    stale.execute_kw.mockRejectedValue(new Error('Session expired'));
+    pool.remember('acme:7', credentials, stale);
+
+    const odoo = await pool.acquire('acme:7');
+    expect(await odoo.search('res.partner')).toBe('client-1');
+    expect(connect).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries with the params the caller passed', async () => {
+    // Like odoo-await, which unshifts the login into the params it is given
+    const unshifting = expired => ({
+      execute_kw: jest.fn(async (model, method, params) => {
+        params.unshift('prod', 7, 'secret', model, method);
+        if (expired) throw new Error('Session expired');
+        return params;
+      })
+    });
+    const { pool } = setup({ connect: jest.fn(async () => ({ odoo: unshifting(false), uid: 7 })) });
+    pool.remember('acme:7', credentials, unshifting(true));
+    const params = [[['is_company', '=', true]]];
+
+    const sent = await (await pool.acquire('acme:7')).execute_kw('res.partner', 'search', params);
+    expect(sent).toEqual(['prod', 7, 'secret', 'res.partner', 'search', [['is_company', '=', true]]]);
+    expect(params).toEqual([[['is_company', '=', true]]]);
+  });
+
+  test('passes other Odoo errors through', async () => {
+    const { pool, connect } = setup();
+    const client = fakeClient('login');
+    client.execute_kw.mockRejectedValue(new Error('You are not allowed to access this document'));
+    pool.remember('acme:7', credentials, client);
+
+    await expect((await pool.acquire('acme:7')).search('res.partner')).rejects.toThrow('not allowed');
+    expect(connect).not.toHaveBeenCalled();
+  });
+
+  test('recognizes expired sessions', () => {
+    expect(isSessionExpired(new Error('Odoo Session Expired'))).toBe(true);
+    expect(isSessionExpired({ message: 'Odoo Server Error', data: { name: 'odoo.exceptions.AccessDenied' } })).toBe(true);
+    expect(isSessionExpired(new Error('Record does not exist'))).toBe(false);
+  });
+
+  test('tells refused logins from transport errors', () => {
+    expect(isLoginRejected('Error connecting to database. This is probably due to invalid credentials.')).toBe(true);
+    expect(isLoginRejected(Object.assign(new Error('XML-RPC fault'), { faultString: 'odoo.exceptions.AccessDenied' }))).toBe(true);
+    expect(isLoginRejected(Object.assign(new Error('connect ECONNREFUSED 10.0.0.5:8069'), { code: 'ECONNREFUSED' }))).toBe(false);
+    expect(isLoginRejected(new Error('Connection timeout'))).toBe(false);
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * Odoo Data Proxy
+ * Generic model routes that run as the logged-in user:
+ * POST /odoo/:model/search_read, /read, /create, /write, /unlink and
+ * /call/:method.
+ *
+ * Nothing is reachable unless the allowlist names it: each model lists the
+ * operations, extra methods and fields clients may use. Odoo's own access
+ * rights still apply on top since every call uses the caller's credentials.
+ */
+
+const express = require('express');
+const { createLogger } = require('./logger');
+const { READ_SCOPE, WRITE_SCOPE, requireScope } = require('./scopes');
+
+const OPERATIONS = ['search_read', 'read', 'create', 'write', 'unlink'];
+const DOMAIN_OPERATORS = [
+  '=', '!=', '>', '>=', '<', '<=', 'like', 'ilike', 'not like', 'not ilike',
+  '=like', '=ilike', 'in', 'not in', 'child_of', 'parent_of'
+];
+
+class ProxyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProxyError';
+    this.status = status;
+  }
+}
+
+const isIdList = (ids, max) => Array.isArray(ids) && ids.length > 0 && ids.length <= max &&
+  ids.every(id => Number.isInteger(id) && id > 0);
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {object} models - `{ "<model>": { operations, methods, fields, writableFields, commandFields, relations } }`;
+ *   `commandFields` are the writable x2many fields that take command lists and
+ *   `relations` names the allowlisted model each relational field points to
+ * @param {object} [options]
+ * @param {number} [options.maxLimit] - upper bound for `limit` and for id lists
+ * @param {number} [options.defaultLimit] - `limit` when the request sets none
+ */
+const createOdooAllowlist = (models = {}, { maxLimit = 200, defaultLimit = 80 } = {}) => {
+  const rules = new Map(Object.entries(models).map(([model, rule]) => {
+    const operations = rule.operations || [];
+    const unknown = operations.filter(operation => !OPERATIONS.includes(operation));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown operation for ${model}: ${unknown.join(', ')}`);
+    }
+    if (!Array.isArray(rule.fields) || rule.fields.length === 0) {
+      throw new Error(`Model ${model} needs a list of fields`);
+    }
+    const relations = rule.relations || {};
+    const unlisted = Object.keys(relations).filter(field => !rule.fields.includes(field));
+    if (unlisted.length > 0) {
+      throw new Error(`Relations of ${model} must be listed in its fields: ${unlisted.join(', ')}`);
+    }
+    const writableFields = rule.writableFields || [];
+    const commandFields = rule.commandFields || [];
+    const unwritable = commandFields.filter(field => !writableFields.includes(field));
+    if (unwritable.length > 0) {
+      throw new Error(`Command fields of ${model} must be listed in its writableFields: ${unwritable.join(', ')}`);
+    }
+    return [model, {
+      operations,
+      methods: (rule.methods || []).filter(method => !method.startsWith('_')),
+      fields: rule.fields,
+      writableFields,
+      commandFields,
+      relations
+    }];
+  }));
+
+  const ruleFor = (model, operation) => {
+    const rule = rules.get(model);
+    if (!rule || !rule.operations.includes(operation)) {
+      throw new ProxyError(`Operation ${operation} is not allowed on ${model}`, 403);
+    }
+    return rule;
+  };
+
+  // Requested fields must be allowlisted; none requested means all allowlisted
+  const checkFields = (rule, fields) => {
+    if (fields === undefined) return rule.fields;
+    if (!Array.isArray(fields) || fields.length === 0) {
+      throw new ProxyError('fields must be a non-empty list');
+    }
+    const denied = fields.filter(field => !rule.fields.includes(field));
+    if (denied.length > 0) {
+      throw new ProxyError(`Fields not allowed: ${denied.join(', ')}`, 403);
+    }
+    return fields;
+  };
+
+  const checkValues = (rule, values) => {
+    if (!isPlainObject(values) || Object.keys(values).length === 0) {
+      throw new ProxyError('values must be an object');
+    }
+    const denied = Object.keys(values).filter(field => !rule.writableFields.includes(field));
+    if (denied.length > 0) {
+      throw new ProxyError(`Fields not writable: ${denied.join(', ')}`, 403);
+    }
+    // A list is a command list, which can create, link or replace related
+    // records of other models; only commandFields accept one
+    const commands = Object.keys(values).filter(field => Array.isArray(values[field]) && !rule.commandFields.includes(field));
+    if (commands.length > 0) {
+      throw new ProxyError(`Fields not writable with commands: ${commands.join(', ')}`, 403);
+    }
+    return values;
+  };
+
+  // Whether a domain may filter on `path`; each segment of a dotted path such
+  // as `parent_id.name` must be allowed on the model the previous one points to
+  const isDomainPath = (rule, path) => {
+    const [field, ...rest] = path.split('.');
+    if (rest.length === 0) return field === 'id' || rule.fields.includes(field);
+    const related = rule.fields.includes(field) && rules.get(rule.relations[field]);
+    return Boolean(related) && isDomainPath(related, rest.join('.'));
+  };
+
+  // Filtering on a field reveals its values, so domains follow the field list too
+  const checkDomain = (rule, domain = []) => {
+    if (!Array.isArray(domain)) {
+      throw new ProxyError('domain must be a list');
+    }
+    domain.forEach((term) => {
+      if (['&', '|', '!'].includes(term)) return;
+      if (!Array.isArray(term) || term.length !== 3 || typeof term[0] !== 'string' ||
+        !DOMAIN_OPERATORS.includes(term[1])) {
+        throw new ProxyError('Invalid domain term');
+      }
+      if (!isDomainPath(rule, term[0])) {
+        throw new ProxyError(`Field not allowed in domain: ${term[0]}`, 403);
+      }
+    });
+    return domain;
+  };
+
+  const checkOrder = (rule, order) => {
+    if (order === undefined) return undefined;
+    const parts = String(order).split(',').map(part => part.trim().split(/\s+/));
+    const valid = parts.every(([field, direction, ...rest]) => (
+      rest.length === 0 &&
+      (field === 'id' || rule.fields.includes(field)) &&
+      (!direction || /^(asc|desc)$/i.test(direction))
+    ));
+    if (!valid) {
+      throw new ProxyError('Invalid order');
+    }
+    return parts.map(part => part.join(' ')).join(', ');
+  };
+
+  const checkPaging = ({ limit, offset }) => {
+    const pageLimit = limit === undefined ? Math.min(defaultLimit, maxLimit) : limit;
+    const pageOffset = offset === undefined ? 0 : offset;
+    if (!Number.isInteger(pageLimit) || pageLimit < 1 || pageLimit > maxLimit) {
+      throw new ProxyError(`limit must be between 1 and ${maxLimit}`);
+    }
+    if (!Number.isInteger(pageOffset) || pageOffset < 0) {
+      throw new ProxyError('offset must be a non-negative integer');
+    }
+    return { limit: pageLimit, offset: pageOffset };
+  };
+
+  const checkIds = (ids) => {
+    if (!isIdList(ids, maxLimit)) {
+      throw new ProxyError(`ids must be a list of 1 to ${maxLimit} record IDs`);
+    }
+    return ids;
+  };
+
+  // Translate a request into the execute_kw arguments: [method, args, kwargs]
+  const prepare = (model, operation, body = {}) => {
+    const rule = ruleFor(model, operation);
+
+    switch (operation) {
+      case 'search_read':
+        return ['search_read', [], {
+          domain: checkDomain(rule, body.domain),
+          fields: checkFields(rule, body.fields),
+          order: checkOrder(rule, body.order),
+          ...checkPaging(body)
+        }];
+      case 'read':
+        return ['read', [checkIds(body.ids)], { fields: checkFields(rule, body.fields) }];
+      case 'create':
+        return ['create', [checkValues(rule, body.values)], {}];
+      case 'write':
+        return ['write', [checkIds(body.ids), checkValues(rule, body.values)], {}];
+      case 'unlink':
+        return ['unlink', [checkIds(body.ids)], {}];
+      default:
+        throw new ProxyError(`Operation ${operation} is not allowed on ${model}`, 403);
+    }
+  };
+
+  const prepareCall = (model, method, body = {}) => {
+    const rule = rules.get(model);
+    if (!rule || !rule.methods.includes(method)) {
+      throw new ProxyError(`Method ${method} is not allowed on ${model}`, 403);
+    }
+    const args = body.args === undefined ? [] : body.args;
+    const kwargs = body.kwargs === undefined ? {} : body.kwargs;
+    if (!Array.isArray(args) || !isPlainObject(kwargs)) {
+      throw new ProxyError('args must be a list and kwargs an object');
+    }
+    if ('context' in kwargs) {
+      throw new ProxyError('context cannot be set by clients');
+    }
+    return [method, args, kwargs];
+  };
+
+  return {
+    prepare,
+    prepareCall,
+    models: [...rules.keys()]
+  };
+};
+
+// Map Odoo exceptions to HTTP statuses; anything else is a gateway error
+const statusForOdooError = (error) => {
+  const text = [error.name, error.message, error.data && error.data.name].filter(Boolean).join(' ');
+  if (/AccessError|AccessDenied/.test(text)) return 403;
+  if (/MissingError/.test(text)) return 404;
+  if (/ValidationError|UserError/.test(text)) return 422;
+  if (/timeout/i.test(text)) return 504;
+  return 502;
+};
+
+/**
+ * @param {object} options
+ * @param {object} options.allowlist - from createOdooAllowlist
+ * @param {Function} options.authenticateToken - bearer token middleware
+ * @param {Function} options.getOdooClient - (req) -> Odoo client of the caller, or null
+ * @param {Function} options.sanitizeError - strips sensitive details from error messages
+ * @param {object} [options.logger] - from lib/logger.js
+ * @param {number} [options.timeoutMs] - longest wait for Odoo
+ */
+const createOdooProxyRouter = ({
+  allowlist,
+  authenticateToken,
+  getOdooClient,
+  sanitizeError,
+  logger = createLogger(),
+  timeoutMs = 10000
+}) => {
+  const router = express.Router();
+
+  const execute = async (req, res, prepared) => {
+    const odoo = await getOdooClient(req);
+    if (!odoo) {
+      return res.status(401).json({ error: 'Odoo session not available, log in again' });
+    }
+
+    const [method, args, kwargs] = prepared;
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Query timeout')), timeoutMs);
+    });
+
+    try {
+      const result = await Promise.race([
+        odoo.execute_kw(req.params.model, method, [args, kwargs]),
+        timeout
+      ]);
+      return res.json({ success: true, result });
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const handle = (prepare) => async (req, res) => {
+    try {
+      await execute(req, res, prepare(req));
+    } catch (error) {
+      if (error.name === 'ProxyError') {
+        return res.status(error.status).json({ error: error.message });
+      }
+      // The caller's Odoo login could not be renewed
+      if (error.name === 'OdooPoolError') {
+        return res.status(401).json({ error: 'Odoo session not available, log in again' });
+      }
+      logger.error('Odoo proxy error', { model: req.params.model, error });
+      res.status(statusForOdooError(error)).json({ error: sanitizeError(error) });
+    }
+  };
+
+  // Scoped (service client) tokens need odoo.read to read and odoo.write for the rest
+  const operationScope = (req, res, next) => (
+    requireScope(['search_read', 'read'].includes(req.params.operation) ? READ_SCOPE : WRITE_SCOPE)(req, res, next)
+  );
+
+  router.post('/odoo/:model/call/:method', authenticateToken, requireScope(WRITE_SCOPE), handle(req => (
+    allowlist.prepareCall(req.params.model, req.params.method, req.body)
+  )));
+
+  router.post('/odoo/:model/:operation', authenticateToken, operationScope, handle(req => (
+    allowlist.prepare(req.params.model, req.params.operation, req.body)
+  )));
+
+  return router;
+};
+
+module.exports = {
+  OPERATIONS,
+  ProxyError,
+  createOdooAllowlist,
+  createOdooProxyRouter,
+  statusForOdooError
+};
@@ -0,0 +1,189 @@
+const express = require('express');
+const request = require('supertest');
+const { createOdooAllowlist, createOdooProxyRouter, statusForOdooError } = require('./odoo-proxy');
+
+const models = {
+  'res.partner': {
+    operations: ['search_read', 'read', 'write'],
+    methods: ['action_archive', '_private'],
+    fields: ['name', 'email', 'phone', 'parent_id'],
+    writableFields: ['email', 'phone'],
+    relations: { parent_id: 'res.partner' }
+  }
+};
+
+const buildApp = (odoo, scopes) => {
+  const app = express();
+  app.use(express.json());
+  app.use(createOdooProxyRouter({
+    allowlist: createOdooAllowlist(models, { maxLimit: 50, defaultLimit: 20 }),
+    authenticateToken: (req, res, next) => {
+      if (!req.headers.authorization) return res.status(401).json({ error: 'Access token required' });
+      req.scopes = scopes;
+      next();
+    },
+    getOdooClient: () => odoo,
+    sanitizeError: error => error.message.replace(/secret/gi, '[REDACTED]'),
+    timeoutMs: 50
+  }));
+  return app;
+};
+
+const fakeOdoo = (result = []) => {
+  const calls = [];
+  return {
+    calls,
+    execute_kw: async (model, method, params) => {
+      calls.push({ model, method, params });
+      return typeof result === 'function' ? result() : result;
+    }
+  };
+};
+
+describe('Odoo data proxy', () => {
+  test('runs search_read as the caller with allowlisted fields and paging', async () => {
+    const odoo = fakeOdoo([{ id: 1, name: 'Acme' }]);
+    const response = await request(buildApp(odoo))
+      .post('/odoo/res.partner/search_read')
+      .set('Authorization', 'Bearer token')
+      .send({ domain: [['name', 'ilike', 'ac'], '|', ['parent_id.name', '=', 'x'], ['id', '>', 3]], order: 'name desc' })
+      .expect(200);
+
+    expect(response.body).toEqual({ success: true, result: [{ id: 1, name: 'Acme' }] });
+    expect(odoo.calls[0]).toEqual({
+      model: 'res.partner',
+      method: 'search_read',
+      params: [[], {
+        domain: [['name', 'ilike', 'ac'], '|', ['parent_id.name', '=', 'x'], ['id', '>', 3]],
+        fields: ['name', 'email', 'phone', 'parent_id'],
+        order: 'name desc',
+        limit: 20,
+        offset: 0
+      }]
+    });
+  });
+
+  test('rejects models, operations, fields and methods outside the allowlist', async () => {
+    const odoo = fakeOdoo();
+    const app = buildApp(odoo);
+    const post = (path, body = {}) => request(app).post(path).set('Authorization', 'Bearer token').send(body);
+
+    await post('/odoo/res.users/search_read').expect(403);
+    await post('/odoo/res.partner/unlink', { ids: [1] }).expect(403);
+    await post('/odoo/res.partner/read', { ids: [1], fields: ['name', 'vat'] }).expect(403);
+    await post('/odoo/res.partner/search_read', { domain: [['vat', '=', 'x']] }).expect(403);
+    await post('/odoo/res.partner/search_read', { domain: [['parent_id.vat', '=', 'x']] }).expect(403);
+    await post('/odoo/res.partner/search_read', { domain: [['email.name', '=', 'x']] }).expect(403);
+    await post('/odoo/res.partner/write', { ids: [1], values: { name: 'x' } }).expect(403);
+    await post('/odoo/res.partner/call/unlink').expect(403);
+    await post('/odoo/res.partner/call/_private').expect(403);
+
+    expect(odoo.calls).toHaveLength(0);
+  });
+
+  test('writes no fields by default and command lists only where allowed', () => {
+    const allowlist = createOdooAllowlist({
+      'res.partner': {
+        operations: ['create', 'write'],
+        fields: ['name', 'category_id', 'child_ids'],
+        writableFields: ['name', 'category_id', 'child_ids'],
+        commandFields: ['category_id']
+      },
+      'res.partner.bank': { operations: ['write'], fields: ['acc_number'] }
+    });
+
+    expect(() => allowlist.prepare('res.partner', 'create', { values: { name: 'Acme', child_ids: [[0, 0, { name: 'x' }]] } }))
+      .toThrow('Fields not writable with commands: child_ids');
+    expect(allowlist.prepare('res.partner', 'write', { ids: [1], values: { category_id: [[6, 0, [3]]] } }))
+      .toEqual(['write', [[1], { category_id: [[6, 0, [3]]] }], {}]);
+    expect(() => allowlist.prepare('res.partner.bank', 'write', { ids: [1], values: { acc_number: 'x' } }))
+      .toThrow('Fields not writable: acc_number');
+    expect(() => createOdooAllowlist({ 'res.partner': { fields: ['name'], commandFields: ['name'] } }))
+      .toThrow('Command fields of res.partner must be listed in its writableFields: name');
+  });
+
+  test('caps limit and validates offsets and ids', async () => {
+    const app = buildApp(fakeOdoo());
+    const post = (path, body) => request(app).post(path).set('Authorization', 'Bearer token').send(body);
+
+    await post('/odoo/res.partner/search_read', { limit: 51 }).expect(400);
+    await post('/odoo/res.partner/search_read', { offset: -1 }).expect(400);
+    await post('/odoo/res.partner/search_read', { order: 'name; drop table' }).expect(400);
+    await post('/odoo/res.partner/read', { ids: ['1'] }).expect(400);
+  });
+
+  test('calls allowlisted methods without a client context', async () => {
+    const odoo = fakeOdoo(true);
+    const app = buildApp(odoo);
+
+    await request(app)
+      .post('/odoo/res.partner/call/action_archive')
+      .set('Authorization', 'Bearer token')
+      .send({ args: [[4]] })
+      .expect(200);
+    expect(odoo.calls[0].params).toEqual([[[4]], {}]);
+
+    await request(app)
+      .post('/odoo/res.partner/call/action_archive')
+      .set('Authorization', 'Bearer token')
+      .send({ args: [[4]], kwargs: { context: { active_test: false } } })
+      .expect(400);
+  });
+
+  test('maps Odoo errors through sanitizeError', async () => {
+    const odoo = fakeOdoo(() => {
+      throw new Error('odoo.exceptions.AccessError: secret records');
+    });
+    const response = await request(buildApp(odoo))
+      .post('/odoo/res.partner/read')
+      .set('Authorization', 'Bearer token')
+      .send({ ids: [1] })
+      .expect(403);
+
+    expect(response.body.error).toBe('odoo.exceptions.AccessError: [REDACTED] records');
+  });
+
+  test('answers 504 when Odoo is too slow', async () => {
+    const odoo = { execute_kw: () => new Promise(() => {}) };
+    await request(buildApp(odoo))
+      .post('/odoo/res.partner/read')
+      .set('Authorization', 'Bearer token')
+      .send({ ids: [1] })
+      .expect(504);
+  });
+
+  test('needs an authenticated caller with an Odoo client', async () => {
+    await request(buildApp(fakeOdoo())).post('/odoo/res.partner/read').send({ ids: [1] }).expect(401);
+    await request(buildApp(null))
+      .post('/odoo/res.partner/read')
+      .set('Authorization', 'Bearer token')
+      .send({ ids: [1] })
+      .expect(401);
+
+    // A pooled client whose login could not be renewed
+    const expired = fakeOdoo(() => {
+      throw Object.assign(new Error('No Odoo credentials for this user'), { name: 'OdooPoolError' });
+    });
+    await request(buildApp(expired))
+      .post('/odoo/res.partner/read')
+      .set('Authorization', 'Bearer token')
+      .send({ ids: [1] })
+      .expect(401);
+  });
+
+  test('classifies Odoo exceptions', () => {
+    expect(statusForOdooError({ message: 'x', data: { name: 'odoo.exceptions.MissingError' } })).toBe(404);
+    expect(statusForOdooError(new Error('odoo.exceptions.ValidationError: bad'))).toBe(422);
+    expect(statusForOdooError(new Error('ECONNREFUSED'))).toBe(502);
+  });
+
+  test('limits scoped tokens to their scopes', async () => {
+    const app = buildApp(fakeOdoo(), ['odoo.read']);
+    const post = (path, body) => request(app).post(path).set('Authorization', 'Bearer token').send(body);
+
+    await post('/odoo/res.partner/read', { ids: [1] }).expect(200);
+    const denied = await post('/odoo/res.partner/write', { ids: [1], values: { email: 'a@b.c' } }).expect(403);
+    expect(denied.body.error).toBe('insufficient_scope');
+    await post('/odoo/res.partner/call/action_archive', { args: [[1]] }).expect(403);
+  });
+});
@@ -0,0 +1,462 @@
+/**
+ * OpenID Connect Provider
+ * Standard SSO on top of the Odoo login: discovery, /authorize (authorization
+ * code + PKCE), /token, /userinfo and a registry of clients with redirect URI
+ * allowlists.
+ *
+ * Users sign in with their Odoo credentials on a minimal login page. A cookie
+ * backed by a regular session lets them skip the form for the next client.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { createClientRegistry, safeEqual } = require('./clients');
+const { createLogger } = require('./logger');
+
+const SUPPORTED_SCOPES = ['openid', 'profile', 'email', 'offline_access'];
+const CODE_TTL = 60 * 1000; // 1 minute
+const SSO_COOKIE = 'oidc_session';
+
+class OidcError extends Error {
+  constructor(code, description, status = 400) {
+    super(description);
+    this.name = 'OidcError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const decodeCookie = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const parseCookies = (header = '') => Object.fromEntries(
+  header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...value]) => [name, decodeCookie(value.join('='))])
+);
+
+const verifyPkce = (verifier, challenge) => {
+  if (!verifier || !/^[A-Za-z0-9\-._~]{43,128}$/.test(verifier)) return false;
+  const computed = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return safeEqual(computed, challenge);
+};
+
+const createOidcClients = (clients = []) => {
+  clients.forEach((client) => {
+    if (!client.client_id || !Array.isArray(client.redirect_uris) || client.redirect_uris.length === 0) {
+      throw new Error('Every OIDC client needs a client_id and at least one redirect_uri');
+    }
+  });
+  return createClientRegistry(clients, { allowPublic: true });
+};
+
+const scopesOf = (scope) => String(scope || '').split(' ').filter(Boolean);
+
+// Claims released for the granted scopes
+const userClaims = (user, scopes) => ({
+  sub: String(user.id),
+  ...(scopes.includes('profile') ? { name: user.name, preferred_username: user.login } : {}),
+  ...(scopes.includes('email') ? { email: user.email } : {})
+});
+
+const loginPage = ({ client, params, error }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Sign in</title>
+  <style>
+    body { font-family: sans-serif; background: #f4f4f6; display: flex; justify-content: center; padding-top: 10vh; }
+    form { background: #fff; padding: 2rem; border-radius: 8px; width: 320px; box-shadow: 0 2px 8px rgba(0,0,0,.1); }
+    label, input, button { display: block; width: 100%; box-sizing: border-box; }
+    input { margin: .25rem 0 1rem; padding: .5rem; }
+    button { padding: .6rem; background: #714b67; color: #fff; border: 0; border-radius: 4px; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+  <form method="post" action="authorize">
+    <h1>Sign in</h1>
+    <p>Continue to <strong>${escapeHtml(client.name)}</strong> with your Odoo account.</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <label for="username">Login</label>
+    <input id="username" name="username" autocomplete="username" required autofocus>
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password" autocomplete="current-password" required>
+    ${Object.entries(params)
+      .filter(([, value]) => value)
+      .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+      .join('\n    ')}
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`;
+
+const errorPage = (message) => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Sign-in error</title></head>
+<body><h1>Sign-in error</h1><p>${escapeHtml(message)}</p></body>
+</html>`;
+
+/**
+ * @param {object} options
+ * @param {string} options.issuer - public base URL of this service
+ * @param {object[]} options.clients - registered clients
+ * @param {object} options.store - session store for the "oidc" namespace
+ * @param {object} options.tokenService - from lib/tokens.js
+ * @param {object} options.signingKeys - from lib/keys.js
+ * @param {object} options.refreshTokens - from lib/refresh-tokens.js
+ * @param {number} options.accessTokenTtl - access token lifetime in seconds
+ * @param {Function} options.authenticateUser - (username, password, req) -> { user, odoo } | null
+ * @param {Function} options.createSsoSession - (user, odoo, req) -> session token
+ * @param {Function} options.getSsoSession - (session token) -> session | null
+ * @param {Function} options.authenticateToken - bearer token middleware
+ * @param {Function} options.loginLimiter - rate limiter for credential checks
+ * @param {Function} [options.accountGuard] - per-account lockout for the sign-in form
+ * @param {object} [options.logger] - from lib/logger.js
+ * @param {boolean} options.secureCookies - mark the SSO cookie as Secure
+ */
+const createOidcRouter = (options) => {
+  const {
+    issuer,
+    store,
+    tokenService,
+    signingKeys,
+    refreshTokens,
+    accessTokenTtl,
+    authenticateUser,
+    createSsoSession,
+    getSsoSession,
+    authenticateToken,
+    loginLimiter,
+    accountGuard = (req, res, next) => next(),
+    logger = createLogger(),
+    secureCookies
+  } = options;
+
+  if (!/^https?:\/\//.test(issuer || '')) {
+    throw new Error('JWT_ISSUER must be the public URL of the service to enable OpenID Connect');
+  }
+
+  const clients = createOidcClients(options.clients);
+  const baseUrl = issuer.replace(/\/+$/, '');
+  const router = express.Router();
+
+  // Validate the client and redirect URI first: until both are known to be
+  // legitimate, errors must be shown to the user instead of redirected.
+  const validateAuthorizeRequest = (params) => {
+    const client = clients.get(params.client_id);
+    if (!client) {
+      throw new OidcError('invalid_client', 'Unknown client');
+    }
+    if (!client.redirect_uris.includes(params.redirect_uri)) {
+      throw new OidcError('invalid_request', 'Redirect URI is not registered for this client');
+    }
+
+    const redirectError = (code, description) => Object.assign(new OidcError(code, description), {
+      redirectUri: params.redirect_uri
+    });
+
+    if (params.response_type !== 'code') {
+      throw redirectError('unsupported_response_type', 'Only response_type=code is supported');
+    }
+    const scopes = scopesOf(params.scope);
+    if (!scopes.includes('openid')) {
+      throw redirectError('invalid_scope', 'The openid scope is required');
+    }
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+      throw redirectError('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+    }
+
+    return {
+      client,
+      scopes: scopes.filter(scope => SUPPORTED_SCOPES.includes(scope))
+    };
+  };
+
+  const authorizeParams = (source) => ({
+    response_type: source.response_type,
+    client_id: source.client_id,
+    redirect_uri: source.redirect_uri,
+    scope: source.scope,
+    state: source.state,
+    nonce: source.nonce,
+    code_challenge: source.code_challenge,
+    code_challenge_method: source.code_challenge_method
+  });
+
+  const redirectWith = (res, redirectUri, values) => {
+    const url = new URL(redirectUri);
+    Object.entries(values)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .forEach(([name, value]) => url.searchParams.set(name, value));
+    res.redirect(302, url.toString());
+  };
+
+  const handleAuthorizeError = (error, params, res) => {
+    if (error.name !== 'OidcError') throw error;
+    if (error.redirectUri) {
+      return redirectWith(res, error.redirectUri, {
+        error: error.code,
+        error_description: error.message,
+        state: params.state
+      });
+    }
+    res.status(error.status).type('html').send(errorPage(error.message));
+  };
+
+  const renderLogin = (res, client, params, error, status = 200) => {
+    // Allow the form (and the redirect that follows it) to reach the client
+    const redirectOrigin = new URL(params.redirect_uri).origin;
+    res.set('Content-Security-Policy', `default-src 'none'; style-src 'unsafe-inline'; form-action 'self' ${redirectOrigin}; frame-ancestors 'none'`);
+    res.set('Cache-Control', 'no-store');
+    res.status(status).type('html').send(loginPage({ client, params, error }));
+  };
+
+  const issueCode = async (res, params, scopes, session) => {
+    const code = crypto.randomBytes(32).toString('base64url');
+    await store.set(`code:${code}`, {
+      clientId: params.client_id,
+      redirectUri: params.redirect_uri,
+      scopes,
+      nonce: params.nonce,
+      codeChallenge: params.code_challenge,
+      user: session.user,
+      authTime: session.authTime
+    }, CODE_TTL);
+
+    redirectWith(res, params.redirect_uri, { code, state: params.state });
+  };
+
+  const setSsoCookie = (res, token) => {
+    res.cookie(SSO_COOKIE, token, {
+      httpOnly: true,
+      secure: secureCookies,
+      sameSite: 'lax',
+      path: '/'
+    });
+  };
+
+  const getSsoUser = async (req) => {
+    const token = parseCookies(req.headers.cookie)[SSO_COOKIE];
+    if (!token) return null;
+    const session = await getSsoSession(token);
+    return session ? { user: session.user, authTime: Math.floor(session.createdAt / 1000) } : null;
+  };
+
+  const authenticateClient = (req) => {
+    try {
+      return clients.authenticate(req);
+    } catch (error) {
+      throw new OidcError('invalid_client', error.message, 401);
+    }
+  };
+
+  // `refresh` is the rotated refresh token when called for refresh_token grants
+  const issueTokens = async (client, { user, scopes, nonce, authTime }, refresh = null) => {
+    if (!refresh && scopes.includes('offline_access')) {
+      refresh = await refreshTokens.issue({
+        clientId: client.client_id,
+        user,
+        scopes,
+        authTime,
+        sessionToken: null
+      });
+    }
+
+    const accessToken = tokenService.sign(user, {
+      credential_type: 'oidc',
+      client_id: client.client_id,
+      scope: scopes.join(' '),
+      sid: refresh ? refresh.familyId : undefined
+    });
+
+    const idToken = tokenService.signClaims({
+      aud: client.client_id,
+      azp: client.client_id,
+      nonce,
+      auth_time: authTime,
+      ...userClaims(user, scopes)
+    });
+
+    return {
+      access_token: accessToken.token,
+      token_type: 'Bearer',
+      expires_in: accessTokenTtl,
+      id_token: idToken.token,
+      refresh_token: refresh ? refresh.token : undefined,
+      scope: scopes.join(' ')
+    };
+  };
+
+  router.get('/.well-known/openid-configuration', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+      issuer: baseUrl,
+      authorization_endpoint: `${baseUrl}/authorize`,
+      token_endpoint: `${baseUrl}/token`,
+      userinfo_endpoint: `${baseUrl}/userinfo`,
+      jwks_uri: `${baseUrl}/.well-known/jwks.json`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: signingKeys.algorithms,
+      scopes_supported: SUPPORTED_SCOPES,
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'name', 'preferred_username', 'email']
+    });
+  });
+
+  router.get('/authorize', async (req, res) => {
+    const params = authorizeParams(req.query);
+    try {
+      const { client, scopes } = validateAuthorizeRequest(params);
+      const prompt = req.query.prompt;
+
+      const session = prompt === 'login' ? null : await getSsoUser(req);
+      if (session) {
+        return issueCode(res, params, scopes, session);
+      }
+
+      if (prompt === 'none') {
+        throw Object.assign(new OidcError('login_required', 'User is not signed in'), {
+          redirectUri: params.redirect_uri
+        });
+      }
+
+      renderLogin(res, client, params);
+    } catch (error) {
+      handleAuthorizeError(error, params, res);
+    }
+  });
+
+  router.post('/authorize', loginLimiter, accountGuard, async (req, res) => {
+    const params = authorizeParams(req.body || {});
+    try {
+      const { client, scopes } = validateAuthorizeRequest(params);
+      const { username, password } = req.body;
+
+      if (!username || !password) {
+        return renderLogin(res, client, params, 'Login and password are required', 400);
+      }
+
+      const result = await authenticateUser(username, password, req);
+      if (!result) {
+        logger.info('Failed OIDC sign-in', { clientId: client.client_id });
+        return renderLogin(res, client, params, 'Invalid login or password', 401);
+      }
+
+      const ssoToken = await createSsoSession(result.user, result.odoo, req);
+      setSsoCookie(res, ssoToken);
+
+      logger.info('Successful OIDC sign-in', { clientId: client.client_id });
+
+      await issueCode(res, params, scopes, {
+        user: result.user,
+        authTime: Math.floor(Date.now() / 1000)
+      });
+    } catch (error) {
+      if (error.name === 'OidcError') {
+        return handleAuthorizeError(error, params, res);
+      }
+      logger.error('OIDC authorize error', { error });
+      res.status(500).type('html').send(errorPage('Sign-in is temporarily unavailable'));
+    }
+  });
+
+  router.post('/token', async (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    try {
+      const client = authenticateClient(req);
+      const { grant_type: grantType } = req.body;
+
+      if (grantType === 'authorization_code') {
+        const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+        const grant = code && await store.get(`code:${code}`);
+        if (!grant) {
+          throw new OidcError('invalid_grant', 'Invalid or expired authorization code');
+        }
+        // Codes are single-use
+        await store.delete(`code:${code}`);
+
+        if (grant.clientId !== client.client_id || grant.redirectUri !== redirectUri) {
+          throw new OidcError('invalid_grant', 'Authorization code was issued to another client');
+        }
+        if (!verifyPkce(codeVerifier, grant.codeChallenge)) {
+          throw new OidcError('invalid_grant', 'PKCE verification failed');
+        }
+
+        return res.json(await issueTokens(client, grant));
+      }
+
+      if (grantType === 'refresh_token') {
+        let rotated;
+        try {
+          rotated = await refreshTokens.rotate(req.body.refresh_token);
+        } catch (error) {
+          if (error.name === 'RefreshTokenError') {
+            throw new OidcError('invalid_grant', 'Invalid refresh token');
+          }
+          throw error;
+        }
+
+        // A token presented by the wrong client has leaked: revoke its family
+        if (rotated.data.clientId !== client.client_id) {
+          await refreshTokens.revokeFamily(rotated.familyId);
+          throw new OidcError('invalid_grant', 'Refresh token was issued to another client');
+        }
+
+        return res.json(await issueTokens(client, rotated.data, rotated));
+      }
+
+      throw new OidcError('unsupported_grant_type', 'Unsupported grant_type');
+    } catch (error) {
+      if (error.name === 'OidcError') {
+        return res.status(error.status).json({ error: error.code, error_description: error.message });
+      }
+      logger.error('OIDC token error', { error });
+      res.status(500).json({ error: 'server_error' });
+    }
+  });
+
+  const userinfo = (req, res) => {
+    // Session tokens carry no scope and get the full profile
+    const scopes = req.tokenClaims && req.tokenClaims.scope !== undefined
+      ? scopesOf(req.tokenClaims.scope)
+      : SUPPORTED_SCOPES;
+
+    if (!scopes.includes('openid')) {
+      return res.status(403).json({ error: 'insufficient_scope' });
+    }
+
+    res.json(userClaims(req.user, scopes));
+  };
+
+  router.get('/userinfo', authenticateToken, userinfo);
+  router.post('/userinfo', authenticateToken, userinfo);
+
+  return router;
+};
+
+module.exports = {
+  OidcError,
+  createOidcRouter,
+  verifyPkce,
+  parseCookies
+};
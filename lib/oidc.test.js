@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { MemorySessionStore } = require('./session-store');
+const { createKeyManager } = require('./keys');
+const { createTokenService } = require('./tokens');
+const { createRefreshTokenService } = require('./refresh-tokens');
+const { createAccountLockout } = require('./lockout');
+const { createOidcRouter, verifyPkce } = require('./oidc');
+
+const issuer = 'https://auth.example.com';
+const user = { id: 7, name: 'Jane Doe', email: 'jane@example.com', login: 'jane' };
+const redirectUri = 'https://app.example.com/callback';
+
+const buildApp = (options = {}) => {
+  const sessions = new MemorySessionStore();
+  const keys = createKeyManager({ algorithm: 'HS256', secret: 'test-secret' });
+  const tokenService = createTokenService({
+    keys,
+    issuer,
+    audience: 'example-apps',
+    ttlSeconds: 3600,
+    db: 'example_db'
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(createOidcRouter({
+    issuer,
+    clients: [
+      { client_id: 'portal', redirect_uris: [redirectUri] },
+      { client_id: 'grafana', client_secret: 'grafana-secret', redirect_uris: [redirectUri] }
+    ],
+    store: new MemorySessionStore(),
+    tokenService,
+    signingKeys: keys,
+    refreshTokens: createRefreshTokenService({ store: new MemorySessionStore(), ttlMs: 60000 }),
+    accessTokenTtl: 3600,
+    authenticateUser: async (username, password) => (
+      username === 'jane' && password === 'secret' ? { user, odoo: null } : null
+    ),
+    createSsoSession: async (sessionUser) => {
+      const token = crypto.randomUUID();
+      await sessions.set(token, { user: sessionUser, createdAt: Date.now() }, 60000);
+      return token;
+    },
+    getSsoSession: token => sessions.get(token),
+    authenticateToken: async (req, res, next) => {
+      try {
+        req.tokenClaims = await tokenService.verify(req.headers.authorization.split(' ')[1]);
+        req.user = tokenService.userFromClaims(req.tokenClaims);
+        next();
+      } catch (error) {
+        res.status(401).json({ error: 'Invalid or expired token' });
+      }
+    },
+    loginLimiter: (req, res, next) => next(),
+    secureCookies: false,
+    ...options
+  }));
+
+  return { app, tokenService };
+};
+
+const pkce = () => {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+};
+
+const authorizeParams = (challenge, overrides = {}) => ({
+  response_type: 'code',
+  client_id: 'portal',
+  redirect_uri: redirectUri,
+  scope: 'openid profile email offline_access',
+  state: 'xyz',
+  nonce: 'n-123',
+  code_challenge: challenge,
+  code_challenge_method: 'S256',
+  ...overrides
+});
+
+const signIn = async (app, params) => {
+  const response = await request(app)
+    .post('/authorize')
+    .type('form')
+    .send({ ...params, username: 'jane', password: 'secret' })
+    .expect(302);
+  const location = new URL(response.headers.location);
+  return { location, cookie: response.headers['set-cookie'] };
+};
+
+describe('OpenID Connect provider', () => {
+  test('publishes discovery metadata', async () => {
+    const { app } = buildApp();
+    const response = await request(app).get('/.well-known/openid-configuration').expect(200);
+
+    expect(response.body).toMatchObject({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/.well-known/jwks.json`,
+      code_challenge_methods_supported: ['S256']
+    });
+  });
+
+  test('runs the authorization code flow with PKCE', async () => {
+    const { app, tokenService } = buildApp();
+    const { verifier, challenge } = pkce();
+
+    const page = await request(app).get('/authorize').query(authorizeParams(challenge)).expect(200);
+    expect(page.text).toContain('<form method="post" action="authorize">');
+    expect(page.headers['content-security-policy']).toContain(`form-action 'self' https://app.example.com`);
+
+    const { location } = await signIn(app, authorizeParams(challenge));
+    expect(location.origin + location.pathname).toBe(redirectUri);
+    expect(location.searchParams.get('state')).toBe('xyz');
+
+    const tokens = await request(app)
+      .post('/token')
+      .type('form')
+      .send({
+        grant_type: 'authorization_code',
+        client_id: 'portal',
+        code: location.searchParams.get('code'),
+        redirect_uri: redirectUri,
+        code_verifier: verifier
+      })
+      .expect(200);
+
+    expect(tokens.body).toMatchObject({ token_type: 'Bearer', expires_in: 3600 });
+    expect(tokens.body.refresh_token).toEqual(expect.any(String));
+
+    const idToken = await tokenService.verify(tokens.body.id_token).catch(() => null);
+    expect(idToken).toBeNull(); // ID tokens are for the client, not the API audience
+
+    const idClaims = JSON.parse(Buffer.from(tokens.body.id_token.split('.')[1], 'base64url'));
+    expect(idClaims).toMatchObject({
+      iss: issuer,
+      aud: 'portal',
+      sub: '7',
+      nonce: 'n-123',
+      email: 'jane@example.com',
+      preferred_username: 'jane'
+    });
+
+    const userinfo = await request(app)
+      .get('/userinfo')
+      .set('Authorization', `Bearer ${tokens.body.access_token}`)
+      .expect(200);
+    expect(userinfo.body).toEqual({
+      sub: '7',
+      name: 'Jane Doe',
+      preferred_username: 'jane',
+      email: 'jane@example.com'
+    });
+  });
+
+  test('puts only the granted profile claims in the ID token', async () => {
+    const { app } = buildApp();
+    const { verifier, challenge } = pkce();
+    const { location } = await signIn(app, authorizeParams(challenge, { scope: 'openid' }));
+    const tokens = await request(app).post('/token').type('form').send({
+      grant_type: 'authorization_code',
+      client_id: 'portal',
+      code: location.searchParams.get('code'),
+      redirect_uri: redirectUri,
+      code_verifier: verifier
+    }).expect(200);
+
+    const idClaims = JSON.parse(Buffer.from(tokens.body.id_token.split('.')[1], 'base64url'));
+    expect(Object.keys(idClaims).sort()).toEqual(['aud', 'auth_time', 'azp', 'exp', 'iat', 'iss', 'nonce', 'sub']);
+  });
+
+  test('rejects a code redeemed with the wrong verifier or twice', async () => {
+    const { app } = buildApp();
+    const { verifier, challenge } = pkce();
+    const { location } = await signIn(app, authorizeParams(challenge));
+    const code = location.searchParams.get('code');
+    const exchange = codeVerifier => request(app).post('/token').type('form').send({
+      grant_type: 'authorization_code',
+      client_id: 'portal',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier
+    });
+
+    const wrong = await exchange(pkce().verifier).expect(400);
+    expect(wrong.body.error).toBe('invalid_grant');
+
+    const replay = await exchange(verifier).expect(400);
+    expect(replay.body.error).toBe('invalid_grant');
+  });
+
+  test('requires the secret of confidential clients', async () => {
+    const { app } = buildApp();
+    const { verifier, challenge } = pkce();
+    const { location } = await signIn(app, authorizeParams(challenge, { client_id: 'grafana' }));
+    const body = {
+      grant_type: 'authorization_code',
+      code: location.searchParams.get('code'),
+      redirect_uri: redirectUri,
+      code_verifier: verifier
+    };
+
+    await request(app).post('/token').type('form').send({ ...body, client_id: 'grafana' }).expect(401);
+    await request(app)
+      .post('/token')
+      .auth('grafana', 'grafana-secret')
+      .type('form')
+      .send(body)
+      .expect(200);
+  });
+
+  test('rotates refresh tokens', async () => {
+    const { app } = buildApp();
+    const { verifier, challenge } = pkce();
+    const { location } = await signIn(app, authorizeParams(challenge));
+    const tokens = await request(app).post('/token').type('form').send({
+      grant_type: 'authorization_code',
+      client_id: 'portal',
+      code: location.searchParams.get('code'),
+      redirect_uri: redirectUri,
+      code_verifier: verifier
+    });
+
+    const refreshed = await request(app)
+      .post('/token')
+      .type('form')
+      .send({ grant_type: 'refresh_token', client_id: 'portal', refresh_token: tokens.body.refresh_token })
+      .expect(200);
+    expect(refreshed.body.refresh_token).not.toBe(tokens.body.refresh_token);
+
+    await request(app)
+      .post('/token')
+      .type('form')
+      .send({ grant_type: 'refresh_token', client_id: 'portal', refresh_token: tokens.body.refresh_token })
+      .expect(400);
+  });
+
+  test('skips the login form when an SSO session exists', async () => {
+    const { app } = buildApp();
+    const { challenge } = pkce();
+    const { cookie } = await signIn(app, authorizeParams(challenge));
+
+    const response = await request(app)
+      .get('/authorize')
+      .set('Cookie', cookie)
+      .query(authorizeParams(challenge, { client_id: 'grafana' }))
+      .expect(302);
+    expect(new URL(response.headers.location).searchParams.get('code')).toEqual(expect.any(String));
+  });
+
+  test('never redirects to unregistered URIs', async () => {
+    const { app } = buildApp();
+    const response = await request(app)
+      .get('/authorize')
+      .query(authorizeParams(pkce().challenge, { redirect_uri: 'https://evil.example.com/cb' }))
+      .expect(400);
+    expect(response.headers.location).toBeUndefined();
+  });
+
+  test('redirects with an error when PKCE is missing', async () => {
+    const { app } = buildApp();
+    const response = await request(app)
+      .get('/authorize')
+      .query(authorizeParams(undefined))
+      .expect(302);
+    expect(new URL(response.headers.location).searchParams.get('error')).toBe('invalid_request');
+  });
+
+  test('shows the form again after wrong credentials', async () => {
+    const { app } = buildApp();
+    const response = await request(app)
+      .post('/authorize')
+      .type('form')
+      .send({ ...authorizeParams(pkce().challenge), username: 'jane', password: 'nope' })
+      .expect(401);
+    expect(response.text).toContain('Invalid login or password');
+  });
+
+  test('applies the per-account lockout to the sign-in form', async () => {
+    const lockout = createAccountLockout({ store: new MemorySessionStore() });
+    const { app } = buildApp({ accountGuard: lockout.guard(req => req.body.username) });
+    await lockout.recordFailure('jane');
+
+    await request(app)
+      .post('/authorize')
+      .type('form')
+      .send({ ...authorizeParams(pkce().challenge), username: 'jane', password: 'secret' })
+      .expect(429);
+  });
+
+  test('verifies S256 code challenges', () => {
+    const { verifier, challenge } = pkce();
+    expect(verifyPkce(verifier, challenge)).toBe(true);
+    expect(verifyPkce('short', challenge)).toBe(false);
+  });
+});
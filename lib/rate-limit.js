@@ -0,0 +1,127 @@
+/**
+ * Rate Limits
+ * express-rate-limit policies from configuration, counted in a session store.
+ *
+ * Each policy has a window and a maximum per caller, optionally different
+ * for authenticated users (`user`) and service clients (`service`). Counters
+ * live in a session store namespace, so with Redis every replica counts
+ * against the same limits.
+ */
+
+const rateLimit = require('express-rate-limit');
+
+const CALLER_TYPES = ['anonymous', 'user', 'service'];
+
+// `window` in seconds; `user` and `service` default to `max`
+const DEFAULT_POLICIES = {
+  general: { window: 15 * 60, max: 100, message: 'Too many requests, please try again later' },
+  login: { window: 15 * 60, max: 5, message: 'Too many login attempts, please try again later' },
+  refresh: { window: 15 * 60, max: 30, message: 'Too many refresh attempts, please try again later' },
+  // Second factor codes are only 6 digits, so guessing is throttled hard
+  mfa: { window: 15 * 60, max: 10, message: 'Too many verification attempts, please try again later' },
+  // Service clients fetch tokens often, but need no more than a few a minute
+  token: { window: 15 * 60, max: 60, message: 'Too many token requests, please try again later' },
+  // Resource servers introspect on every request they serve
+  introspection: { window: 60, max: 600, message: 'Too many introspection requests, please try again later' }
+};
+
+const isPositive = value => Number.isFinite(value) && value > 0;
+
+/**
+ * Merge configured policies over the defaults.
+ * @param {object} [config] - `{ login: { window, max, user?, service? }, ... }`
+ */
+const parsePolicies = (config = {}) => {
+  Object.keys(config).forEach((name) => {
+    if (!DEFAULT_POLICIES[name]) {
+      throw new Error(`Unknown rate limit policy "${name}"`);
+    }
+  });
+
+  return Object.fromEntries(Object.entries(DEFAULT_POLICIES).map(([name, defaults]) => {
+    const policy = { ...defaults, ...config[name] };
+    ['window', 'max', 'user', 'service'].forEach((field) => {
+      if (policy[field] !== undefined && !isPositive(policy[field])) {
+        throw new Error(`Rate limit policy "${name}" needs a positive ${field}`);
+      }
+    });
+    return [name, policy];
+  }));
+};
+
+// express-rate-limit store keeping fixed-window counters in a session store
+class SessionRateLimitStore {
+  constructor(store, prefix) {
+    this.store = store;
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const count = await this.store.get(key);
+    return typeof count === 'number' ? { totalHits: count, resetTime: undefined } : undefined;
+  }
+
+  async increment(key) {
+    const { count, expiresAt } = await this.store.increment(key, this.windowMs);
+    return { totalHits: count, resetTime: new Date(expiresAt) };
+  }
+
+  async decrement(key) {
+    await this.store.increment(key, this.windowMs, -1);
+  }
+
+  async resetKey(key) {
+    await this.store.delete(key);
+  }
+}
+
+const describeWindow = (seconds) => {
+  if (seconds % 60 !== 0) return `${seconds} seconds`;
+  const minutes = seconds / 60;
+  return minutes === 1 ? '1 minute' : `${minutes} minutes`;
+};
+
+/**
+ * Build the limiter of one policy.
+ * @param {object} policy - from parsePolicies
+ * @param {object} options
+ * @param {string} options.name - policy name, keeps counters of policies apart
+ * @param {object} options.store - session store for this policy's counters
+ * @param {Function} options.identify - (req) -> { type, key } of the caller; see CALLER_TYPES
+ * @param {Function} [options.skip] - (req) -> true for requests not to count
+ * @param {Function} [options.onLimit] - (req, name) -> void, for requests over the limit
+ */
+const createRateLimiter = (policy, { name, store, identify, skip = () => false, onLimit = () => {} }) => {
+  const maxFor = caller => (caller.type === 'anonymous' ? policy.max : policy[caller.type] || policy.max);
+
+  return rateLimit({
+    windowMs: policy.window * 1000,
+    limit: async req => maxFor(await identify(req)),
+    keyGenerator: async req => (await identify(req)).key,
+    store: new SessionRateLimitStore(store, name),
+    skip,
+    message: {
+      error: policy.message,
+      retryAfter: describeWindow(policy.window)
+    },
+    handler: (req, res, next, options) => {
+      onLimit(req, name);
+      res.status(options.statusCode).json(options.message);
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+  });
+};
+
+module.exports = {
+  CALLER_TYPES,
+  DEFAULT_POLICIES,
+  SessionRateLimitStore,
+  createRateLimiter,
+  parsePolicies
+};
@@ -0,0 +1,74 @@
+const express = require('express');
+const request = require('supertest');
+const { MemorySessionStore } = require('./session-store');
+const { DEFAULT_POLICIES, createRateLimiter, parsePolicies } = require('./rate-limit');
+
+describe('Rate limits', () => {
+  // Callers name themselves in a header; no header means an anonymous IP
+  const identify = async req => (req.headers['x-caller']
+    ? { type: req.headers['x-caller-type'] || 'user', key: `user:${req.headers['x-caller']}` }
+    : { type: 'anonymous', key: 'ip:127.0.0.1' });
+
+  const buildApp = (policy, store = new MemorySessionStore(), onLimit) => {
+    const app = express();
+    app.use(createRateLimiter(policy, { name: 'test', store, identify, onLimit }));
+    app.get('/', (req, res) => res.json({ ok: true }));
+    return app;
+  };
+
+  test('keeps the defaults for unconfigured policies', () => {
+    const policies = parsePolicies({ login: { max: 10 } });
+    expect(policies.login).toMatchObject({ window: 900, max: 10, message: DEFAULT_POLICIES.login.message });
+    expect(policies.general).toEqual(DEFAULT_POLICIES.general);
+  });
+
+  test('rejects unknown policies and invalid numbers', () => {
+    expect(() => parsePolicies({ logn: { max: 1 } })).toThrow('Unknown rate limit policy');
+    expect(() => parsePolicies({ login: { window: 0 } })).toThrow('positive window');
+    expect(() => parsePolicies({ general: { user: 'many' } })).toThrow('positive user');
+  });
+
+  test('limits each caller separately with RateLimit headers', async () => {
+    const app = buildApp({ window: 60, max: 1, message: 'Slow down' });
+
+    const first = await request(app).get('/').expect(200);
+    expect(first.headers['ratelimit-limit']).toBe('1');
+    expect(first.headers['ratelimit-remaining']).toBe('0');
+    expect(first.headers['x-ratelimit-limit']).toBeUndefined();
+
+    const limited = await request(app).get('/').expect(429);
+    expect(limited.body).toEqual({ error: 'Slow down', retryAfter: '1 minute' });
+
+    // An authenticated user counts against their own limit, not the IP's
+    await request(app).get('/').set('X-Caller', 'acme:7').expect(200);
+  });
+
+  test('applies the limit of the caller type', async () => {
+    const app = buildApp({ window: 60, max: 1, user: 2, service: 3, message: 'Slow down' });
+
+    const user = await request(app).get('/').set('X-Caller', 'acme:7').expect(200);
+    expect(user.headers['ratelimit-limit']).toBe('2');
+
+    const service = await request(app).get('/').set('X-Caller', 'acme:8').set('X-Caller-Type', 'service').expect(200);
+    expect(service.headers['ratelimit-limit']).toBe('3');
+  });
+
+  test('reports requests over the limit', async () => {
+    const onLimit = jest.fn();
+    const app = buildApp({ window: 60, max: 1, message: 'Slow down' }, new MemorySessionStore(), onLimit);
+
+    await request(app).get('/').expect(200);
+    expect(onLimit).not.toHaveBeenCalled();
+    await request(app).get('/').expect(429);
+    expect(onLimit).toHaveBeenCalledWith(expect.objectContaining({ method: 'GET' }), 'test');
+  });
+
+  test('shares counters through the store', async () => {
+    const store = new MemorySessionStore();
+    const policy = { window: 60, max: 1, message: 'Slow down' };
+
+    // Two replicas using the same backend
+    await request(buildApp(policy, store)).get('/').expect(200);
+    await request(buildApp(policy, store)).get('/').expect(429);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Minimal Redis Client
+ * Speaks the RESP protocol over a plain TCP socket so the service can share
+ * state through Redis (or any Redis-compatible server) without extra packages
+ */
+
+const net = require('net');
+
+const parseRedisUrl = (url) => {
+  const parsed = new URL(url || 'redis://localhost:6379');
+  return {
+    host: parsed.hostname || 'localhost',
+    port: Number(parsed.port) || 6379,
+    password: parsed.password ? decodeURIComponent(parsed.password) : null,
+    db: parsed.pathname && parsed.pathname.length > 1 ? Number(parsed.pathname.slice(1)) : 0
+  };
+};
+
+const encodeCommand = (args) => {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+    out += `$${value.length}\r\n${value.toString('binary')}\r\n`;
+  }
+  return Buffer.from(out, 'binary');
+};
+
+// Parses one RESP value starting at `offset`. Returns null when the buffer
+// does not yet hold a complete reply.
+const parseReply = (buffer, offset = 0) => {
+  if (offset >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type: ${type}`);
+  }
+};
+
+class RedisClient {
+  constructor(url, options = {}) {
+    this.options = { ...parseRedisUrl(url), ...options };
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.options.host, port: this.options.port });
+      socket.setNoDelay(true);
+
+      socket.once('connect', async () => {
+        this.socket = socket;
+        this.connecting = null;
+        try {
+          if (this.options.password) await this.command('AUTH', this.options.password);
+          if (this.options.db) await this.command('SELECT', this.options.db);
+          resolve();
+        } catch (error) {
+          socket.destroy();
+          reject(error);
+        }
+      });
+
+      socket.on('data', (chunk) => this.onData(chunk));
+
+      socket.once('error', (error) => {
+        if (this.connecting) {
+          this.connecting = null;
+          reject(error);
+        }
+        this.failPending(error);
+      });
+
+      socket.once('close', () => {
+        if (this.socket === socket) this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.failPending(new Error('Redis connection closed'));
+      });
+    });
+
+    return this.connecting;
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    while ((reply = parseReply(this.buffer)) !== null) {
+      this.buffer = this.buffer.subarray(reply.offset);
+      const request = this.pending.shift();
+      if (!request) continue;
+      if (reply.value instanceof Error) {
+        request.reject(reply.value);
+      } else {
+        request.resolve(reply.value);
+      }
+    }
+  }
+
+  failPending(error) {
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(request => request.reject(error));
+  }
+
+  async command(...args) {
+    if (!this.socket) await this.connect();
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  async quit() {
+    if (!this.socket) return;
+    try {
+      await this.command('QUIT');
+    } catch (error) {
+      // Connection is going away either way
+    }
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = {
+  RedisClient,
+  parseRedisUrl,
+  encodeCommand,
+  parseReply
+};
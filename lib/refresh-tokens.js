@@ -0,0 +1,176 @@
+/**
+ * Refresh Tokens
+ * Long-lived, single-use tokens that are exchanged for a new access token.
+ *
+ * Every refresh rotates the token. Tokens descending from one login share a
+ * family; presenting a token that was already used revokes the whole family,
+ * since it means the token leaked and both parties hold a copy.
+ *
+ * A token is claimed with the store's atomic `increment` before it is
+ * replaced, so of two concurrent refreshes with one token (even on different
+ * replicas) only one succeeds; the other counts as reuse.
+ *
+ * With an `index` store, families are also listed per owner (e.g. per user),
+ * so revoking one user's families does not read every family.
+ */
+
+const crypto = require('crypto');
+
+class RefreshTokenError extends Error {
+  constructor(message, code, latest = null) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.code = code;
+    // Data of the newest token in a family revoked because of reuse, so the
+    // caller can tear down whatever that token was protecting
+    this.latest = latest;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * @param {object} options
+ * @param {object} options.store - session store for the "refresh" namespace
+ * @param {number} options.ttlMs - lifetime of every refresh token
+ * @param {object} [options.index] - session store for the families of each owner
+ * @param {Function} [options.ownerOf] - token data -> owner key, or null for families not to index
+ */
+const createRefreshTokenService = ({ store, ttlMs, index = null, ownerOf = () => null }) => {
+  const tokenKey = (token) => `token:${hashToken(token)}`;
+  const familyKey = (familyId) => `family:${familyId}`;
+  const claimKey = (token) => `claim:${hashToken(token)}`;
+  // Revocations also get a key of their own that rotations never write, so a
+  // rotation racing a revocation cannot bring the family back
+  const revokedKey = (familyId) => `revoked:${familyId}`;
+
+  const isRevoked = async (familyId, family) => (
+    !family || family.revoked || Boolean(await store.get(revokedKey(familyId)))
+  );
+
+  const save = async (familyId, family, data) => {
+    const token = generateToken();
+    const now = Date.now();
+    const owner = index && ownerOf(data);
+    if (owner) {
+      // Lives as long as the owner's newest family
+      await index.addMember(owner, familyId, ttlMs);
+    }
+    await store.set(familyKey(familyId), { ...family, latest: data }, ttlMs);
+    await store.set(tokenKey(token), {
+      familyId,
+      data,
+      createdAt: now,
+      expiresAt: now + ttlMs,
+      usedAt: null
+    }, ttlMs);
+    return token;
+  };
+
+  // Start a new family, typically on login
+  const issue = async (data) => {
+    const familyId = crypto.randomUUID();
+    const token = await save(familyId, { revoked: false, createdAt: Date.now() }, data);
+    return { token, familyId };
+  };
+
+  // Revoke every token of a family and return the data of its newest token
+  const revokeFamily = async (familyId) => {
+    if (!familyId) return null;
+    const family = await store.get(familyKey(familyId));
+    await store.set(revokedKey(familyId), true, ttlMs);
+    await store.set(familyKey(familyId), { ...family, revoked: true, revokedAt: Date.now() }, ttlMs);
+    return family ? family.latest : null;
+  };
+
+  // Change the data the family's live token will carry into its next rotation,
+  // e.g. after the user switched company. Returns the new data.
+  const updateFamily = async (familyId, update) => {
+    if (!familyId) return null;
+    const family = await store.get(familyKey(familyId));
+    if (await isRevoked(familyId, family)) return null;
+    const latest = await update(family.latest);
+    await store.set(familyKey(familyId), { ...family, latest }, ttlMs);
+    return latest;
+  };
+
+  // [familyId, family] of every family, or of one owner's from the index
+  const familiesOf = async (owner) => {
+    if (owner && index) {
+      const familyIds = await index.members(owner);
+      return Promise.all(familyIds.map(async familyId => [familyId, await store.get(familyKey(familyId))]));
+    }
+    return (await store.entries())
+      .filter(([key]) => key.startsWith('family:'))
+      .map(([key, family]) => [key.slice('family:'.length), family]);
+  };
+
+  // Revoke every live family whose newest token data matches `predicate`,
+  // e.g. all families of one user. The predicate also gets the family ID.
+  // Passing the `owner` reads only that owner's families. Returns the data of
+  // each revoked family.
+  const revokeFamilies = async (predicate, owner = null) => {
+    const revoked = [];
+    for (const [familyId, family] of await familiesOf(owner)) {
+      const live = Boolean(family) && !family.revoked;
+      if (live && !predicate(family.latest, familyId)) continue;
+      if (live) {
+        await revokeFamily(familyId);
+        revoked.push(family.latest);
+      }
+      if (owner && index) {
+        await index.removeMember(owner, familyId);
+      }
+    }
+    return revoked;
+  };
+
+  // Consume a refresh token and return its replacement. `update` may adjust
+  // the data carried into the new token.
+  const rotate = async (token, update = (data) => data) => {
+    if (!token || typeof token !== 'string') {
+      throw new RefreshTokenError('Refresh token required', 'invalid_request');
+    }
+
+    const record = await store.get(tokenKey(token));
+    if (!record || record.expiresAt <= Date.now()) {
+      throw new RefreshTokenError('Invalid or expired refresh token', 'invalid_grant');
+    }
+
+    const family = await store.get(familyKey(record.familyId));
+    if (await isRevoked(record.familyId, family)) {
+      throw new RefreshTokenError('Refresh token has been revoked', 'invalid_grant');
+    }
+
+    // Only the first to claim the token may replace it. The claim and the used
+    // record are kept until the token would have expired so reuse is detectable.
+    const remainingMs = Math.max(1, record.expiresAt - Date.now());
+    const { count } = await store.increment(claimKey(token), remainingMs);
+    if (record.usedAt || count > 1) {
+      const latest = await revokeFamily(record.familyId);
+      throw new RefreshTokenError('Refresh token reuse detected', 'token_reuse', latest);
+    }
+    await store.set(tokenKey(token), { ...record, usedAt: Date.now() }, remainingMs);
+
+    // An unused token is always the family's newest, whose data may have
+    // been changed through updateFamily since it was issued
+    const data = await update(family.latest || record.data);
+    const nextToken = await save(record.familyId, family, data);
+    return { token: nextToken, familyId: record.familyId, data };
+  };
+
+  return {
+    issue,
+    rotate,
+    revokeFamily,
+    revokeFamilies,
+    updateFamily
+  };
+};
+
+module.exports = {
+  RefreshTokenError,
+  createRefreshTokenService
+};
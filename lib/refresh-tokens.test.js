@@ -0,0 +1,120 @@
+const { MemorySessionStore } = require('./session-store');
+const { createRefreshTokenService } = require('./refresh-tokens');
+
+describe('Refresh tokens', () => {
+  let store;
+  let service;
+
+  beforeEach(() => {
+    store = new MemorySessionStore();
+    service = createRefreshTokenService({ store, ttlMs: 60000 });
+  });
+
+  test('issues a token that can be rotated once', async () => {
+    const { token, familyId } = await service.issue({ sessionToken: 'a' });
+    const rotated = await service.rotate(token);
+
+    expect(rotated.token).not.toBe(token);
+    expect(rotated.familyId).toBe(familyId);
+    expect(rotated.data).toEqual({ sessionToken: 'a' });
+  });
+
+  test('passes the carried data through the update callback', async () => {
+    const { token } = await service.issue({ sessionToken: 'a' });
+    const rotated = await service.rotate(token, data => ({ ...data, sessionToken: 'b' }));
+
+    expect(rotated.data).toEqual({ sessionToken: 'b' });
+  });
+
+  test('revokes the family when a used token is presented again', async () => {
+    const { token } = await service.issue({ sessionToken: 'a' });
+    const rotated = await service.rotate(token, () => ({ sessionToken: 'b' }));
+
+    await expect(service.rotate(token)).rejects.toMatchObject({
+      code: 'token_reuse',
+      latest: { sessionToken: 'b' }
+    });
+    await expect(service.rotate(rotated.token)).rejects.toMatchObject({ code: 'invalid_grant' });
+  });
+
+  test('lets only one of two concurrent refreshes with a token succeed', async () => {
+    const { token } = await service.issue({ sessionToken: 'a' });
+    const results = await Promise.allSettled([service.rotate(token), service.rotate(token)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    const [winner] = results.filter(result => result.status === 'fulfilled');
+    const [loser] = results.filter(result => result.status === 'rejected');
+    expect(loser.reason.code).toBe('token_reuse');
+
+    // The family is revoked, including the token the winner received
+    await expect(service.rotate(winner.value.token)).rejects.toMatchObject({ code: 'invalid_grant' });
+  });
+
+  test('rejects unknown and missing tokens', async () => {
+    await expect(service.rotate('nope')).rejects.toMatchObject({ code: 'invalid_grant' });
+    await expect(service.rotate()).rejects.toMatchObject({ code: 'invalid_request' });
+  });
+
+  test('rejects tokens of a revoked family', async () => {
+    const { token, familyId } = await service.issue({ sessionToken: 'a' });
+    await service.revokeFamily(familyId);
+
+    await expect(service.rotate(token)).rejects.toMatchObject({ code: 'invalid_grant' });
+  });
+
+  test('does not store raw tokens', async () => {
+    const { token } = await service.issue({ sessionToken: 'a' });
+    const keys = (await store.entries()).map(([key]) => key);
+
+    expect(keys.some(key => key.includes(token))).toBe(false);
+  });
+
+  test('revokes only the families matching a predicate', async () => {
+    const mine = await service.issue({ user: { id: 1 } });
+    const theirs = await service.issue({ user: { id: 2 } });
+
+    const revoked = await service.revokeFamilies(data => data.user.id === 1);
+
+    expect(revoked).toEqual([{ user: { id: 1 } }]);
+    await expect(service.rotate(mine.token)).rejects.toMatchObject({ code: 'invalid_grant' });
+    await expect(service.rotate(theirs.token)).resolves.toBeDefined();
+  });
+
+  test('carries family updates into the next rotation', async () => {
+    const { token, familyId } = await service.issue({ user: { id: 1, company_id: 1 } });
+
+    await service.updateFamily(familyId, data => ({ ...data, user: { ...data.user, company_id: 3 } }));
+
+    const rotated = await service.rotate(token);
+    expect(rotated.data.user.company_id).toBe(3);
+  });
+
+  test('passes the family ID to the revocation predicate', async () => {
+    const current = await service.issue({ user: { id: 1 } });
+    const other = await service.issue({ user: { id: 1 } });
+
+    await service.revokeFamilies((data, familyId) => familyId !== current.familyId);
+
+    await expect(service.rotate(current.token)).resolves.toBeDefined();
+    await expect(service.rotate(other.token)).rejects.toMatchObject({ code: 'invalid_grant' });
+  });
+
+  test('revokes an owner\'s families from the index without reading the others', async () => {
+    const index = new MemorySessionStore();
+    const indexed = createRefreshTokenService({ store, ttlMs: 60000, index, ownerOf: data => `user:${data.user.id}` });
+    const first = await indexed.issue({ user: { id: 1 } });
+    const second = await indexed.issue({ user: { id: 1 } });
+    const theirs = await indexed.issue({ user: { id: 2 } });
+    const rotated = await indexed.rotate(second.token);
+    const entries = jest.spyOn(store, 'entries');
+
+    const revoked = await indexed.revokeFamilies(() => true, 'user:1');
+
+    expect(entries).not.toHaveBeenCalled();
+    expect(revoked).toHaveLength(2);
+    await expect(indexed.rotate(first.token)).rejects.toMatchObject({ code: 'invalid_grant' });
+    await expect(indexed.rotate(rotated.token)).rejects.toMatchObject({ code: 'invalid_grant' });
+    await expect(indexed.rotate(theirs.token)).resolves.toBeDefined();
+    expect(await index.members('user:1')).toEqual([]);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Token Revocation
+ * Denylist for JWT access tokens, which otherwise stay valid until `exp`.
+ *
+ * Single tokens are revoked by `jti` until they would have expired anyway.
+ * "Log out everywhere" records a cut-off per user: every token that user was
+ * issued up to that second is rejected. Users are scoped by tenant since
+ * Odoo user IDs repeat across databases.
+ */
+
+const { DEFAULT_TENANT_ID } = require('./tenants');
+
+/**
+ * @param {object} options
+ * @param {object} options.store - session store for the "revoked" namespace
+ * @param {number} options.tokenTtlMs - longest lifetime of an access token
+ */
+const createRevocationList = ({ store, tokenTtlMs }) => {
+  const tokenKey = (jti) => `jti:${jti}`;
+  const userKey = (userId, tenantId) => `user:${tenantId || DEFAULT_TENANT_ID}:${userId}`;
+
+  // `exp` is the token's expiry in seconds since the epoch
+  const revokeToken = async (jti, exp) => {
+    if (!jti) return;
+    const ttlMs = exp ? exp * 1000 - Date.now() : tokenTtlMs;
+    if (ttlMs <= 0) return;
+    await store.set(tokenKey(jti), { revokedAt: Date.now() }, ttlMs);
+  };
+
+  // `exceptFamily` keeps the tokens of one refresh family (the `sid` claim)
+  // valid, e.g. those of the session that changed the password
+  const revokeUser = async (userId, tenantId, { exceptFamily = null } = {}) => {
+    await store.set(userKey(userId, tenantId), {
+      revokedBefore: Math.floor(Date.now() / 1000),
+      exceptFamily
+    }, tokenTtlMs);
+  };
+
+  const isRevoked = async (claims) => {
+    if (claims.jti && await store.get(tokenKey(claims.jti))) {
+      return true;
+    }
+
+    const cutoff = await store.get(userKey(claims.sub, claims.tenant));
+    if (!cutoff || (cutoff.exceptFamily && claims.sid === cutoff.exceptFamily)) {
+      return false;
+    }
+    return claims.iat <= cutoff.revokedBefore;
+  };
+
+  return {
+    revokeToken,
+    revokeUser,
+    isRevoked
+  };
+};
+
+module.exports = {
+  createRevocationList
+};
@@ -0,0 +1,51 @@
+const { MemorySessionStore } = require('./session-store');
+const { createRevocationList } = require('./revocation');
+
+describe('Token revocation', () => {
+  let store;
+  let revocations;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  beforeEach(() => {
+    store = new MemorySessionStore();
+    revocations = createRevocationList({ store, tokenTtlMs: 3600000 });
+  });
+
+  test('revokes a single token by jti', async () => {
+    await revocations.revokeToken('abc', now() + 60);
+
+    expect(await revocations.isRevoked({ jti: 'abc', sub: '1', iat: now() })).toBe(true);
+    expect(await revocations.isRevoked({ jti: 'def', sub: '1', iat: now() })).toBe(false);
+  });
+
+  test('keeps denylist entries only until the token expires', async () => {
+    await revocations.revokeToken('abc', now() + 60);
+    await revocations.revokeToken('old', now() - 1);
+
+    expect((await store.entries()).map(([key]) => key)).toEqual(['jti:abc']);
+    expect(store.items.get('jti:abc').expiresAt).toBeLessThanOrEqual(Date.now() + 60000);
+  });
+
+  test('revokes every token a user was issued so far', async () => {
+    const issuedBefore = { jti: 'a', sub: '7', iat: now() - 10 };
+    await revocations.revokeUser(7);
+
+    expect(await revocations.isRevoked(issuedBefore)).toBe(true);
+    expect(await revocations.isRevoked({ jti: 'b', sub: '8', iat: now() - 10 })).toBe(false);
+    expect(await revocations.isRevoked({ jti: 'c', sub: '7', iat: now() + 1 })).toBe(false);
+  });
+
+  test('scopes user revocation to a tenant', async () => {
+    await revocations.revokeUser(7, 'acme');
+
+    expect(await revocations.isRevoked({ jti: 'a', sub: '7', tenant: 'acme', iat: now() - 10 })).toBe(true);
+    expect(await revocations.isRevoked({ jti: 'b', sub: '7', tenant: 'globex', iat: now() - 10 })).toBe(false);
+  });
+
+  test('can spare the tokens of one refresh family', async () => {
+    await revocations.revokeUser(7, 'acme', { exceptFamily: 'mine' });
+
+    expect(await revocations.isRevoked({ jti: 'a', sub: '7', tenant: 'acme', sid: 'mine', iat: now() })).toBe(false);
+    expect(await revocations.isRevoked({ jti: 'b', sub: '7', tenant: 'acme', sid: 'other', iat: now() })).toBe(true);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Scopes
+ * Limits for scoped access tokens, which service clients get from the
+ * client_credentials grant and OpenID Connect clients from /token. Tokens
+ * users get for themselves carry no scopes; Odoo's access rights govern
+ * them instead.
+ */
+
+const READ_SCOPE = 'odoo.read';
+const WRITE_SCOPE = 'odoo.write';
+
+// Scopes as a list, from a space-separated `scope` claim or a list
+const parseScopes = (scope) => {
+  if (scope === undefined || scope === null) return null;
+  return Array.isArray(scope) ? scope : String(scope).split(' ').filter(Boolean);
+};
+
+/**
+ * Middleware requiring one of `scopes` from scoped tokens. Runs after
+ * authenticateToken, which puts the token's scopes on `req.scopes`.
+ * @param {...string} scopes
+ */
+const requireScope = (...scopes) => (req, res, next) => {
+  if (req.scopes && !scopes.some(scope => req.scopes.includes(scope))) {
+    return res.status(403).json({
+      error: 'insufficient_scope',
+      error_description: `Requires scope ${scopes.join(' or ')}`
+    });
+  }
+  next();
+};
+
+/**
+ * Middleware for routes that act for a signed-in user rather than on Odoo
+ * data: managing sessions, passwords, companies or lockouts. No scope grants
+ * them, so scoped tokens are refused whatever their technical user may do.
+ */
+const requireUserToken = (req, res, next) => {
+  if (req.scopes) {
+    return res.status(403).json({
+      error: 'insufficient_scope',
+      error_description: 'Not available to scoped tokens'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  READ_SCOPE,
+  WRITE_SCOPE,
+  parseScopes,
+  requireScope,
+  requireUserToken
+};
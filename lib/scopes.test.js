@@ -0,0 +1,40 @@
+const { parseScopes, requireScope, requireUserToken } = require('./scopes');
+
+describe('Scopes', () => {
+  const run = (scopes) => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    requireScope('odoo.write', 'admin')({ scopes }, res, next);
+    return { res, next };
+  };
+
+  test('parses scope claims', () => {
+    expect(parseScopes('odoo.read  odoo.write')).toEqual(['odoo.read', 'odoo.write']);
+    expect(parseScopes(['odoo.read'])).toEqual(['odoo.read']);
+    expect(parseScopes(undefined)).toBeNull();
+  });
+
+  test('lets unscoped tokens and tokens with a listed scope through', () => {
+    expect(run(null).next).toHaveBeenCalled();
+    expect(run(['odoo.read', 'odoo.write']).next).toHaveBeenCalled();
+  });
+
+  test('answers 403 insufficient_scope otherwise', () => {
+    const { res, next } = run(['odoo.read']);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].error).toBe('insufficient_scope');
+  });
+
+  test('keeps every scoped token off user-only routes', () => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+
+    requireUserToken({ scopes: null }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+
+    requireUserToken({ scopes: ['odoo.read', 'odoo.write'] }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Service Clients
+ * Machine-to-machine callers (cron workers, ETL jobs) using the OAuth
+ * client_credentials grant.
+ *
+ * Each client has a bcrypt-hashed secret, the scopes it may request and the
+ * Odoo technical user its calls run as.
+ */
+
+const bcrypt = require('bcrypt');
+const { ClientAuthError, readClientCredentials } = require('./clients');
+
+// Compared against when the client ID is unknown, so both cases take as long
+const DUMMY_HASH = bcrypt.hashSync('unknown-client', 10);
+
+class ScopeError extends Error {
+  constructor(message = 'Requested scope is not allowed') {
+    super(message);
+    this.name = 'ScopeError';
+  }
+}
+
+/**
+ * @param {object[]} clients - `{ client_id, client_secret_hash, scopes, odoo: { login, password }, tenant? }`
+ */
+const createServiceClientRegistry = (clients = []) => {
+  const registry = new Map();
+
+  clients.forEach((client) => {
+    if (!client.client_id || !client.client_secret_hash) {
+      throw new Error('Every service client needs a client_id and a client_secret_hash');
+    }
+    if (!/^\$2[aby]\$\d{2}\$/.test(client.client_secret_hash)) {
+      throw new Error(`Service client ${client.client_id} needs a bcrypt client_secret_hash`);
+    }
+    if (!client.odoo || !client.odoo.login || !client.odoo.password) {
+      throw new Error(`Service client ${client.client_id} needs an Odoo login and password`);
+    }
+    registry.set(client.client_id, { scopes: [], ...client });
+  });
+
+  // Resolve the calling client or throw ClientAuthError
+  const authenticate = async (req) => {
+    const { clientId, clientSecret } = readClientCredentials(req);
+    const client = clientId ? registry.get(clientId) : null;
+    const matches = await bcrypt.compare(
+      typeof clientSecret === 'string' ? clientSecret : '',
+      client ? client.client_secret_hash : DUMMY_HASH
+    );
+
+    if (!client || !clientSecret || !matches) {
+      throw new ClientAuthError();
+    }
+    return client;
+  };
+
+  // Scopes to grant for a space-separated request; all of the client's by default
+  const grantScopes = (client, requested) => {
+    if (!requested) return client.scopes;
+    const scopes = [...new Set(String(requested).split(' ').filter(Boolean))];
+    if (scopes.some(scope => !client.scopes.includes(scope))) {
+      throw new ScopeError();
+    }
+    return scopes;
+  };
+
+  return {
+    authenticate,
+    grantScopes,
+    size: registry.size
+  };
+};
+
+module.exports = {
+  ScopeError,
+  createServiceClientRegistry
+};
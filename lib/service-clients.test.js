@@ -0,0 +1,38 @@
+const bcrypt = require('bcrypt');
+const { createServiceClientRegistry } = require('./service-clients');
+
+describe('Service clients', () => {
+  const client = {
+    client_id: 'etl',
+    client_secret_hash: bcrypt.hashSync('etl-secret', 4),
+    scopes: ['odoo.read', 'odoo.write'],
+    odoo: { login: 'etl-bot', password: 'api-key' }
+  };
+  const registry = createServiceClientRegistry([client]);
+  const basic = (id, secret) => ({
+    headers: { authorization: `Basic ${Buffer.from(`${id}:${secret}`).toString('base64')}` }
+  });
+
+  test('authenticates with the hashed secret', async () => {
+    await expect(registry.authenticate(basic('etl', 'etl-secret'))).resolves.toMatchObject({ client_id: 'etl' });
+    await expect(registry.authenticate({ headers: {}, body: { client_id: 'etl', client_secret: 'etl-secret' } }))
+      .resolves.toMatchObject({ client_id: 'etl' });
+  });
+
+  test('rejects wrong secrets and unknown clients', async () => {
+    await expect(registry.authenticate(basic('etl', 'nope'))).rejects.toThrow('Client authentication failed');
+    await expect(registry.authenticate(basic('cron', 'etl-secret'))).rejects.toThrow('Client authentication failed');
+    await expect(registry.authenticate({ headers: {}, body: { client_id: 'etl' } })).rejects.toThrow('Client authentication failed');
+  });
+
+  test('grants only the scopes a client is registered for', () => {
+    expect(registry.grantScopes(client, undefined)).toEqual(['odoo.read', 'odoo.write']);
+    expect(registry.grantScopes(client, 'odoo.read odoo.read')).toEqual(['odoo.read']);
+    expect(() => registry.grantScopes(client, 'odoo.read admin')).toThrow('Requested scope is not allowed');
+  });
+
+  test('requires bcrypt hashes and an Odoo user', () => {
+    expect(() => createServiceClientRegistry([{ ...client, client_secret_hash: 'plain' }])).toThrow('bcrypt');
+    expect(() => createServiceClientRegistry([{ ...client, odoo: undefined }])).toThrow('Odoo login');
+  });
+});
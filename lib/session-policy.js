@@ -0,0 +1,60 @@
+/**
+ * Session Policy
+ * Idle timeout and absolute lifetime of access sessions.
+ *
+ * A session ends when it has not been used for `idleTimeoutMs` or when
+ * `absoluteLifetimeMs` has passed since the user signed in, whichever comes
+ * first. The sign-in time (`signedInAt`) survives refreshes, so refreshing
+ * never extends the lifetime; sessions without one count from `createdAt`.
+ * JWTs cannot be tracked for idleness, so their `exp` is the shorter of both.
+ */
+
+/**
+ * @param {object} options
+ * @param {number} options.idleTimeoutMs - longest gap between two uses of a session
+ * @param {number} options.absoluteLifetimeMs - longest lifetime of a session
+ */
+const createSessionPolicy = ({ idleTimeoutMs, absoluteLifetimeMs }) => {
+  if (!(idleTimeoutMs > 0) || !(absoluteLifetimeMs > 0)) {
+    throw new Error('Session idle timeout and lifetime must be positive');
+  }
+
+  const tokenTtlMs = Math.min(idleTimeoutMs, absoluteLifetimeMs);
+
+  // When the session ends however active it is
+  const absoluteExpiresAt = (session) => (session.signedInAt || session.createdAt) + absoluteLifetimeMs;
+  const idleExpiry = (session) => (session.lastAccess || session.createdAt) + idleTimeoutMs;
+
+  // When the session ends unless it is used again
+  const expiresAt = (session) => Math.min(absoluteExpiresAt(session), idleExpiry(session));
+
+  const isExpired = (session, now = Date.now()) => now >= expiresAt(session);
+
+  // Whether the sign-in behind a session is too old to be refreshed
+  const lifetimeEnded = (session, now = Date.now()) => now >= absoluteExpiresAt(session);
+
+  // Remaining lifetime in milliseconds, used as the store TTL
+  const remainingMs = (session, now = Date.now()) => expiresAt(session) - now;
+
+  // Header values telling clients how long the session has left, in seconds
+  const headers = (session, now = Date.now()) => ({
+    'X-Session-Expires-In': String(Math.max(0, Math.floor((expiresAt(session) - now) / 1000))),
+    'X-Session-Absolute-Expires-In': String(Math.max(0, Math.floor((absoluteExpiresAt(session) - now) / 1000)))
+  });
+
+  return {
+    idleTimeoutMs,
+    absoluteLifetimeMs,
+    tokenTtlMs,
+    absoluteExpiresAt,
+    expiresAt,
+    isExpired,
+    lifetimeEnded,
+    remainingMs,
+    headers
+  };
+};
+
+module.exports = {
+  createSessionPolicy
+};
@@ -0,0 +1,49 @@
+const { createSessionPolicy } = require('./session-policy');
+
+describe('Session policy', () => {
+  const minute = 60 * 1000;
+  const policy = createSessionPolicy({ idleTimeoutMs: 15 * minute, absoluteLifetimeMs: 60 * minute });
+
+  test('expires sessions that sit idle', () => {
+    const session = { createdAt: 0, lastAccess: 10 * minute };
+
+    expect(policy.isExpired(session, 24 * minute)).toBe(false);
+    expect(policy.isExpired(session, 25 * minute)).toBe(true);
+    expect(policy.remainingMs(session, 20 * minute)).toBe(5 * minute);
+  });
+
+  test('expires active sessions after their absolute lifetime', () => {
+    const session = { createdAt: 0, lastAccess: 55 * minute };
+
+    expect(policy.expiresAt(session)).toBe(60 * minute);
+    expect(policy.isExpired(session, 60 * minute)).toBe(true);
+  });
+
+  test('measures the absolute lifetime from the sign-in, not the last refresh', () => {
+    const refreshed = { signedInAt: minute, createdAt: 50 * minute, lastAccess: 55 * minute };
+
+    expect(policy.expiresAt(refreshed)).toBe(61 * minute);
+    expect(policy.headers(refreshed, 56 * minute)['X-Session-Absolute-Expires-In']).toBe('300');
+    expect(policy.lifetimeEnded(refreshed, 60 * minute)).toBe(false);
+    expect(policy.lifetimeEnded(refreshed, 61 * minute)).toBe(true);
+  });
+
+  test('gives JWTs the shorter of both limits', () => {
+    expect(policy.tokenTtlMs).toBe(15 * minute);
+  });
+
+  test('reports the remaining time in seconds', () => {
+    expect(policy.headers({ createdAt: 0, lastAccess: 50 * minute }, 50 * minute)).toEqual({
+      'X-Session-Expires-In': '600',
+      'X-Session-Absolute-Expires-In': '600'
+    });
+    expect(policy.headers({ createdAt: 0, lastAccess: 0 }, 5 * minute)).toEqual({
+      'X-Session-Expires-In': '600',
+      'X-Session-Absolute-Expires-In': '3300'
+    });
+  });
+
+  test('rejects non-positive limits', () => {
+    expect(() => createSessionPolicy({ idleTimeoutMs: 0, absoluteLifetimeMs: minute })).toThrow('must be positive');
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * Session Store
+ * Pluggable key/value storage for sessions and other short-lived auth state.
+ *
+ * Every store implements the same async interface:
+ *   get(key) -> value | null
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ *   entries() -> [[key, value], ...]
+ *   increment(key, ttlMs, by) -> { count, expiresAt }
+ *   addMember(key, member, ttlMs)
+ *   members(key) -> [member, ...]
+ *   removeMember(key, member)
+ *   close()
+ *
+ * Values must be JSON-serializable so they survive restarts and can be
+ * shared between replicas. Member sets are for indexes, e.g. the sessions of
+ * a user; keep them in a namespace of their own, since Redis cannot list them
+ * with entries().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RedisClient } = require('./redis-client');
+
+const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+class MemorySessionStore {
+  constructor() {
+    this.items = new Map();
+  }
+
+  isExpired(item, now = Date.now()) {
+    return item.expiresAt !== null && item.expiresAt <= now;
+  }
+
+  async get(key) {
+    const item = this.items.get(key);
+    if (!item) return null;
+    if (this.isExpired(item)) {
+      this.items.delete(key);
+      return null;
+    }
+    return clone(item.value);
+  }
+
+  async set(key, value, ttlMs) {
+    this.items.set(key, {
+      value: clone(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async delete(key) {
+    this.items.delete(key);
+  }
+
+  // Add `by` to a counter, starting one that lives `ttlMs` when there is none
+  async increment(key, ttlMs, by = 1) {
+    const item = this.items.get(key);
+    if (!item || this.isExpired(item) || typeof item.value !== 'number') {
+      const expiresAt = Date.now() + ttlMs;
+      this.items.set(key, { value: by, expiresAt });
+      return { count: by, expiresAt };
+    }
+    item.value += by;
+    return { count: item.value, expiresAt: item.expiresAt };
+  }
+
+  // Add `member` to the set at `key`; the set then lives `ttlMs` from now
+  async addMember(key, member, ttlMs) {
+    const item = this.items.get(key);
+    const members = item && !this.isExpired(item) && Array.isArray(item.value) ? item.value : [];
+    if (!members.includes(member)) members.push(member);
+    this.items.set(key, { value: members, expiresAt: Date.now() + ttlMs });
+  }
+
+  async members(key) {
+    const value = await this.get(key);
+    return Array.isArray(value) ? value : [];
+  }
+
+  async removeMember(key, member) {
+    const item = this.items.get(key);
+    if (!item || !Array.isArray(item.value) || !item.value.includes(member)) return;
+    item.value = item.value.filter(existing => existing !== member);
+    if (item.value.length === 0) this.items.delete(key);
+  }
+
+  async entries() {
+    const now = Date.now();
+    const result = [];
+    for (const [key, item] of this.items.entries()) {
+      if (this.isExpired(item, now)) {
+        this.items.delete(key);
+      } else {
+        result.push([key, clone(item.value)]);
+      }
+    }
+    return result;
+  }
+
+  async close() {}
+}
+
+// Keeps the whole namespace in one JSON file. Suitable for a single instance
+// that must keep sessions across restarts; use Redis for several replicas.
+class FileSessionStore extends MemorySessionStore {
+  constructor({ file }) {
+    super();
+    this.file = file;
+    this.loaded = null;
+    this.writing = Promise.resolve();
+  }
+
+  load() {
+    if (!this.loaded) {
+      this.loaded = fs.promises.readFile(this.file, 'utf8')
+        .then((content) => {
+          const data = JSON.parse(content);
+          Object.entries(data).forEach(([key, item]) => this.items.set(key, item));
+        })
+        .catch((error) => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+    }
+    return this.loaded;
+  }
+
+  persist() {
+    const snapshot = JSON.stringify(Object.fromEntries(this.items));
+    const tmpFile = `${this.file}.${process.pid}.tmp`;
+
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(tmpFile, snapshot, { mode: 0o600 });
+        await fs.promises.rename(tmpFile, this.file);
+      });
+
+    return this.writing;
+  }
+
+  async get(key) {
+    await this.load();
+    const had = this.items.has(key);
+    const value = await super.get(key);
+    if (had && value === null) await this.persist();
+    return value;
+  }
+
+  async set(key, value, ttlMs) {
+    await this.load();
+    await super.set(key, value, ttlMs);
+    await this.persist();
+  }
+
+  async delete(key) {
+    await this.load();
+    if (!this.items.has(key)) return;
+    await super.delete(key);
+    await this.persist();
+  }
+
+  async increment(key, ttlMs, by = 1) {
+    await this.load();
+    const result = await super.increment(key, ttlMs, by);
+    await this.persist();
+    return result;
+  }
+
+  async addMember(key, member, ttlMs) {
+    await this.load();
+    await super.addMember(key, member, ttlMs);
+    await this.persist();
+  }
+
+  async removeMember(key, member) {
+    await this.load();
+    await super.removeMember(key, member);
+    await this.persist();
+  }
+
+  async entries() {
+    await this.load();
+    const before = this.items.size;
+    const result = await super.entries();
+    if (this.items.size !== before) await this.persist();
+    return result;
+  }
+
+  async close() {
+    await this.writing.catch(() => {});
+  }
+}
+
+class RedisSessionStore {
+  constructor({ client, prefix }) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    const raw = await this.client.command('GET', this.prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs) {
+    const args = ['SET', this.prefix + key, JSON.stringify(value)];
+    if (ttlMs) args.push('PX', Math.max(1, Math.ceil(ttlMs)));
+    await this.client.command(...args);
+  }
+
+  async delete(key) {
+    await this.client.command('DEL', this.prefix + key);
+  }
+
+  // INCRBY is atomic, so replicas share one count; the expiry is set by
+  // whichever call finds the counter without one
+  async increment(key, ttlMs, by = 1) {
+    const fullKey = this.prefix + key;
+    const count = await this.client.command('INCRBY', fullKey, by);
+    let remaining = await this.client.command('PTTL', fullKey);
+    if (remaining < 0) {
+      remaining = Math.max(1, Math.ceil(ttlMs));
+      await this.client.command('PEXPIRE', fullKey, remaining);
+    }
+    return { count, expiresAt: Date.now() + remaining };
+  }
+
+  async addMember(key, member, ttlMs) {
+    const fullKey = this.prefix + key;
+    await this.client.command('SADD', fullKey, member);
+    await this.client.command('PEXPIRE', fullKey, Math.max(1, Math.ceil(ttlMs)));
+  }
+
+  async members(key) {
+    return this.client.command('SMEMBERS', this.prefix + key);
+  }
+
+  async removeMember(key, member) {
+    await this.client.command('SREM', this.prefix + key, member);
+  }
+
+  async entries() {
+    const result = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await this.client.command('SCAN', cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 100);
+      for (const fullKey of keys) {
+        const raw = await this.client.command('GET', fullKey);
+        if (raw !== null) result.push([fullKey.slice(this.prefix.length), JSON.parse(raw)]);
+      }
+      cursor = nextCursor;
+    } while (cursor !== '0');
+    return result;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+const redisClients = new Map();
+
+const getRedisClient = (url) => {
+  if (!redisClients.has(url)) {
+    redisClients.set(url, new RedisClient(url));
+  }
+  return redisClients.get(url);
+};
+
+/**
+ * Create a store for one namespace (e.g. "sessions") using the backend
+ * selected by SESSION_STORE: memory (default), file or redis.
+ */
+const createSessionStore = (options = {}) => {
+  const {
+    namespace = 'sessions',
+    type = process.env.SESSION_STORE || 'memory',
+    dir = process.env.SESSION_STORE_DIR || path.join(process.cwd(), 'data'),
+    redisUrl = process.env.REDIS_URL || 'redis://localhost:6379',
+    keyPrefix = process.env.REDIS_KEY_PREFIX || 'odoo-auth:'
+  } = options;
+
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore({ file: path.join(dir, `${namespace}.json`) });
+    case 'redis':
+      return new RedisSessionStore({
+        client: options.client || getRedisClient(redisUrl),
+        prefix: `${keyPrefix}${namespace}:`
+      });
+    default:
+      throw new Error(`Unknown session store type: ${type}`);
+  }
+};
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  RedisSessionStore,
+  createSessionStore
+};
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { RedisClient, encodeCommand, parseReply } = require('./redis-client');
+const {
+  MemorySessionStore,
+  FileSessionStore,
+  RedisSessionStore,
+  createSessionStore
+} = require('./session-store');
+
+// Tiny Redis stand-in that understands just the commands the store uses
+const startRedisStandIn = () => new Promise((resolve) => {
+  const data = new Map();
+
+  const reply = (value) => {
+    if (value === null) return '$-1\r\n';
+    if (typeof value === 'number') return `:${value}\r\n`;
+    if (Array.isArray(value)) return `*${value.length}\r\n${value.map(reply).join('')}`;
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  };
+
+  const alive = (key) => {
+    const item = data.get(key);
+    if (item && item.expiresAt && item.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return item || null;
+  };
+
+  const handle = ([name, ...args]) => {
+    switch (name.toUpperCase()) {
+      case 'PING':
+      case 'QUIT':
+        return '+OK\r\n';
+      case 'GET': {
+        const item = alive(args[0]);
+        return reply(item ? item.value : null);
+      }
+      case 'SET': {
+        const px = args.findIndex(arg => arg.toUpperCase() === 'PX');
+        data.set(args[0], {
+          value: args[1],
+          expiresAt: px === -1 ? null : Date.now() + Number(args[px + 1])
+        });
+        return '+OK\r\n';
+      }
+      case 'DEL':
+        return reply(args.filter(key => data.delete(key)).length);
+      case 'INCRBY': {
+        const item = alive(args[0]) || { value: '0', expiresAt: null };
+        data.set(args[0], { ...item, value: String(Number(item.value) + Number(args[1])) });
+        return reply(Number(item.value) + Number(args[1]));
+      }
+      case 'PTTL': {
+        const item = alive(args[0]);
+        if (!item) return reply(-2);
+        return reply(item.expiresAt ? item.expiresAt - Date.now() : -1);
+      }
+      case 'PEXPIRE': {
+        const item = alive(args[0]);
+        if (item) item.expiresAt = Date.now() + Number(args[1]);
+        return reply(item ? 1 : 0);
+      }
+      case 'SADD': {
+        const item = alive(args[0]) || { value: new Set(), expiresAt: null };
+        item.value.add(args[1]);
+        data.set(args[0], item);
+        return reply(1);
+      }
+      case 'SMEMBERS': {
+        const item = alive(args[0]);
+        return reply(item ? [...item.value] : []);
+      }
+      case 'SREM': {
+        const item = alive(args[0]);
+        return reply(item && item.value.delete(args[1]) ? 1 : 0);
+      }
+      case 'SCAN': {
+        const prefix = args[args.indexOf('MATCH') + 1].replace(/\*$/, '');
+        const keys = [...data.keys()].filter(key => key.startsWith(prefix) && alive(key));
+        return reply(['0', keys]);
+      }
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      while ((parsed = parseReply(buffer)) !== null) {
+        buffer = buffer.subarray(parsed.offset);
+        socket.write(handle(parsed.value));
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({ server, data }));
+});
+
+const behavesLikeASessionStore = (createStore) => {
+  let store;
+
+  beforeEach(async () => {
+    store = await createStore();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  test('stores and returns JSON values', async () => {
+    await store.set('abc', { user: { id: 7 }, createdAt: 1 }, 60000);
+    expect(await store.get('abc')).toEqual({ user: { id: 7 }, createdAt: 1 });
+  });
+
+  test('returns null for unknown keys', async () => {
+    expect(await store.get('missing')).toBeNull();
+  });
+
+  test('deletes values', async () => {
+    await store.set('abc', { a: 1 }, 60000);
+    await store.delete('abc');
+    expect(await store.get('abc')).toBeNull();
+  });
+
+  test('expires values after their ttl', async () => {
+    await store.set('short', { a: 1 }, 20);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    expect(await store.get('short')).toBeNull();
+  });
+
+  test('lists live entries', async () => {
+    await store.set('one', { n: 1 }, 60000);
+    await store.set('two', { n: 2 }, 60000);
+    const entries = await store.entries();
+    expect(entries.sort(([a], [b]) => a.localeCompare(b))).toEqual([
+      ['one', { n: 1 }],
+      ['two', { n: 2 }]
+    ]);
+  });
+
+  test('counts within a window and starts over once it expires', async () => {
+    const first = await store.increment('hits', 40);
+    expect(first.count).toBe(1);
+    expect((await store.increment('hits', 40)).count).toBe(2);
+    expect((await store.increment('hits', 40, -1)).count).toBe(1);
+    expect((await store.increment('hits', 40)).expiresAt).toBeGreaterThanOrEqual(first.expiresAt - 5);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect((await store.increment('hits', 40)).count).toBe(1);
+  });
+
+  test('keeps sets of members', async () => {
+    await store.addMember('user:7', 'a', 60000);
+    await store.addMember('user:7', 'b', 60000);
+    await store.addMember('user:7', 'a', 60000);
+    await store.removeMember('user:7', 'b');
+    await store.removeMember('user:8', 'b');
+
+    expect(await store.members('user:7')).toEqual(['a']);
+    expect(await store.members('user:8')).toEqual([]);
+
+    await store.addMember('short', 'a', 20);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    expect(await store.members('short')).toEqual([]);
+  });
+
+  test('does not share mutations with callers', async () => {
+    const value = { n: 1 };
+    await store.set('abc', value, 60000);
+    value.n = 2;
+    const stored = await store.get('abc');
+    stored.n = 3;
+    expect(await store.get('abc')).toEqual({ n: 1 });
+  });
+};
+
+describe('Session stores', () => {
+  describe('MemorySessionStore', () => {
+    behavesLikeASessionStore(() => new MemorySessionStore());
+  });
+
+  describe('FileSessionStore', () => {
+    let dir;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-store-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    behavesLikeASessionStore(() => new FileSessionStore({
+      file: path.join(dir, `${Date.now()}-${Math.random()}.json`)
+    }));
+
+    test('keeps sessions across store instances', async () => {
+      const file = path.join(dir, 'restart.json');
+      const first = new FileSessionStore({ file });
+      await first.set('abc', { user: { id: 1 } }, 60000);
+      await first.close();
+
+      const second = new FileSessionStore({ file });
+      expect(await second.get('abc')).toEqual({ user: { id: 1 } });
+      await second.close();
+    });
+  });
+
+  describe('RedisSessionStore', () => {
+    let standIn;
+
+    beforeAll(async () => {
+      standIn = await startRedisStandIn();
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => standIn.server.close(resolve));
+    });
+
+    behavesLikeASessionStore(() => {
+      const { port } = standIn.server.address();
+      return new RedisSessionStore({
+        client: new RedisClient(`redis://127.0.0.1:${port}`),
+        prefix: `test-${Date.now()}-${Math.random()}:`
+      });
+    });
+
+    test('namespaces keys with the configured prefix', async () => {
+      const { port } = standIn.server.address();
+      const store = createSessionStore({
+        type: 'redis',
+        namespace: 'sessions',
+        keyPrefix: 'app:',
+        client: new RedisClient(`redis://127.0.0.1:${port}`)
+      });
+
+      await store.set('token', { ok: true }, 60000);
+      expect(standIn.data.has('app:sessions:token')).toBe(true);
+      await store.close();
+    });
+  });
+
+  describe('RESP encoding', () => {
+    test('round-trips commands through the reply parser', () => {
+      const encoded = encodeCommand(['SET', 'key', 'välue']);
+      expect(parseReply(encoded).value).toEqual(['SET', 'key', 'välue']);
+    });
+
+    test('waits for incomplete replies', () => {
+      expect(parseReply(Buffer.from('$5\r\nhel'))).toBeNull();
+    });
+  });
+
+  describe('createSessionStore', () => {
+    test('defaults to the memory store', () => {
+      expect(createSessionStore({ type: 'memory' })).toBeInstanceOf(MemorySessionStore);
+    });
+
+    test('rejects unknown store types', () => {
+      expect(() => createSessionStore({ type: 'nope' })).toThrow('Unknown session store type: nope');
+    });
+  });
+});
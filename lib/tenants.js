@@ -0,0 +1,132 @@
+/**
+ * Tenants
+ * Routes each request to one of several Odoo databases.
+ *
+ * A tenant is resolved from, in order: a path prefix (`/t/<tenant>/...`), the
+ * `X-Tenant` header, the Host header, or the `db` field of a login body. When
+ * no TENANTS are configured a single "default" tenant is built from the
+ * ODOO_* variables so single-database deployments keep working unchanged.
+ */
+
+const DEFAULT_TENANT_ID = 'default';
+
+const normalizeTenant = (tenant, { strict = true } = {}) => {
+  if (strict && (!tenant.id || !tenant.baseUrl || !tenant.db)) {
+    throw new Error('Every tenant needs an id, a baseUrl and a db');
+  }
+  if (!/^[A-Za-z0-9_-]+$/.test(tenant.id)) {
+    throw new Error(`Tenant id "${tenant.id}" may only contain letters, digits, "-" and "_"`);
+  }
+  return {
+    port: 8069,
+    hosts: [],
+    corsOrigins: null,
+    audience: null,
+    serviceAccount: null,
+    loginPolicy: null,
+    ...tenant,
+    hosts: (tenant.hosts || []).map(host => host.toLowerCase())
+  };
+};
+
+/**
+ * @param {object} options
+ * @param {object[]} [options.tenants] - configured tenants; empty for single-database mode
+ * @param {object} options.fallback - `{ baseUrl, db, port }` used when no tenants are configured
+ * @param {string} [options.defaultTenant] - tenant used when a request names none
+ * @param {string} [options.pathPrefix] - path prefix that introduces a tenant id
+ */
+const createTenantRegistry = ({ tenants = [], fallback, defaultTenant, pathPrefix = '/t' }) => {
+  const list = tenants.length > 0
+    ? tenants.map(tenant => normalizeTenant(tenant))
+    : [normalizeTenant({ id: DEFAULT_TENANT_ID, ...fallback }, { strict: false })];
+  const byId = new Map(list.map(tenant => [tenant.id, tenant]));
+  const fallbackId = tenants.length > 0 ? defaultTenant : DEFAULT_TENANT_ID;
+
+  if (fallbackId && !byId.has(fallbackId)) {
+    throw new Error(`TENANT_DEFAULT "${fallbackId}" is not a configured tenant`);
+  }
+
+  const prefixPattern = new RegExp(`^${pathPrefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/([^/?]+)(/[^?]*)?(\\?.*)?$`);
+
+  const get = (id) => byId.get(id) || null;
+  const findByHost = (host) => list.find(tenant => tenant.hosts.includes(String(host).toLowerCase())) || null;
+  const findByDb = (db) => list.find(tenant => tenant.db === db || tenant.id === db) || null;
+
+  // A path segment such as `%E0` names no tenant rather than failing the request
+  const fromPath = (segment) => {
+    try {
+      return get(decodeURIComponent(segment));
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Collect every tenant the request names; they must all agree
+  const resolve = (req) => {
+    const named = [];
+
+    const match = prefixPattern.exec(req.url);
+    if (match) {
+      named.push({ source: 'path', tenant: fromPath(match[1]) });
+      req.url = (match[2] || '/') + (match[3] || '');
+    }
+
+    const header = req.headers['x-tenant'];
+    if (header) {
+      named.push({ source: 'header', tenant: get(header) });
+    }
+
+    const byHost = req.hostname ? findByHost(req.hostname) : null;
+    if (byHost) {
+      named.push({ source: 'host', tenant: byHost });
+    }
+
+    const db = req.body && req.path.startsWith('/auth/login') ? req.body.db : undefined;
+    if (typeof db === 'string' && db) {
+      named.push({ source: 'db', tenant: findByDb(db) });
+    }
+
+    const unknown = named.find(entry => !entry.tenant);
+    if (unknown) {
+      return { error: { status: 404, message: 'Unknown tenant' } };
+    }
+
+    const ids = new Set(named.map(entry => entry.tenant.id));
+    if (ids.size > 1) {
+      return { error: { status: 400, message: 'Conflicting tenant in request' } };
+    }
+
+    if (named.length > 0) {
+      return { tenant: named[0].tenant, explicit: true };
+    }
+    return { tenant: fallbackId ? get(fallbackId) : null, explicit: false };
+  };
+
+  // Sets req.tenant (null when nothing names one and there is no default) and
+  // strips the tenant path prefix so routes match as usual
+  const middleware = (req, res, next) => {
+    const result = resolve(req);
+    if (result.error) {
+      return res.status(result.error.status).json({ error: result.error.message });
+    }
+    req.tenant = result.tenant;
+    req.tenantExplicit = result.explicit;
+    next();
+  };
+
+  return {
+    list,
+    get,
+    findByHost,
+    findByDb,
+    resolve,
+    middleware,
+    multiTenant: tenants.length > 0
+  };
+};
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  createTenantRegistry
+};
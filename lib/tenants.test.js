@@ -0,0 +1,78 @@
+const express = require('express');
+const request = require('supertest');
+const { createTenantRegistry } = require('./tenants');
+
+const tenants = [
+  { id: 'acme', baseUrl: 'https://acme.odoo.com', db: 'acme-prod', hosts: ['Auth.Acme.com'] },
+  { id: 'globex', baseUrl: 'https://erp.globex.com', db: 'globex' }
+];
+
+const buildApp = (options) => {
+  const registry = createTenantRegistry(options);
+  const app = express();
+  app.use(express.json());
+  app.use(registry.middleware);
+  app.all('/auth/login', (req, res) => res.json({
+    tenant: req.tenant && req.tenant.id,
+    explicit: req.tenantExplicit
+  }));
+  return app;
+};
+
+describe('Tenant registry', () => {
+  test('builds a default tenant from the ODOO_* settings', () => {
+    const registry = createTenantRegistry({
+      fallback: { baseUrl: 'https://odoo.example.com', db: 'main', port: 443 }
+    });
+
+    expect(registry.multiTenant).toBe(false);
+    expect(registry.get('default')).toMatchObject({ baseUrl: 'https://odoo.example.com', db: 'main', port: 443 });
+  });
+
+  test('rejects incomplete tenants and unknown defaults', () => {
+    expect(() => createTenantRegistry({ tenants: [{ id: 'acme' }] })).toThrow('needs an id, a baseUrl and a db');
+    expect(() => createTenantRegistry({ tenants, defaultTenant: 'initech' })).toThrow('not a configured tenant');
+  });
+
+  test('resolves the tenant from a path prefix and strips it', async () => {
+    const app = buildApp({ tenants });
+    const response = await request(app).post('/t/globex/auth/login?x=1').send({}).expect(200);
+
+    expect(response.body).toEqual({ tenant: 'globex', explicit: true });
+  });
+
+  test('resolves the tenant from the header, host or login db', async () => {
+    const app = buildApp({ tenants });
+
+    const byHeader = await request(app).post('/auth/login').set('X-Tenant', 'globex').send({});
+    expect(byHeader.body.tenant).toBe('globex');
+
+    const byHost = await request(app).post('/auth/login').set('Host', 'auth.acme.com').send({});
+    expect(byHost.body.tenant).toBe('acme');
+
+    const byDb = await request(app).post('/auth/login').send({ db: 'acme-prod' });
+    expect(byDb.body.tenant).toBe('acme');
+  });
+
+  test('falls back to the default tenant', async () => {
+    const withDefault = await request(buildApp({ tenants, defaultTenant: 'acme' })).post('/auth/login').send({});
+    expect(withDefault.body).toEqual({ tenant: 'acme', explicit: false });
+
+    const withoutDefault = await request(buildApp({ tenants })).post('/auth/login').send({});
+    expect(withoutDefault.body).toEqual({ tenant: null, explicit: false });
+  });
+
+  test('rejects unknown and conflicting tenants', async () => {
+    const app = buildApp({ tenants });
+
+    await request(app).post('/t/initech/auth/login').send({}).expect(404);
+    const malformed = await request(app).post('/t/%E0/auth/login').send({}).expect(404);
+    expect(malformed.body.error).toBe('Unknown tenant');
+    const conflict = await request(app)
+      .post('/t/acme/auth/login')
+      .set('X-Tenant', 'globex')
+      .send({})
+      .expect(400);
+    expect(conflict.body.error).toBe('Conflicting tenant in request');
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Access Tokens
+ * Signs and verifies the JWT access tokens handed to clients, so downstream
+ * services can check them without calling this service.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_MODES = ['session', 'jwt', 'both'];
+
+/**
+ * @param {object} options
+ * @param {object} options.keys - key manager from lib/keys.js
+ * @param {string} options.issuer - `iss` claim
+ * @param {string} options.audience - `aud` claim, unless the user's tenant sets its own
+ * @param {number} options.ttlSeconds - lifetime of every token
+ * @param {string} [options.db] - Odoo database when users carry no tenant
+ * @param {object} [options.tenants] - tenant registry from lib/tenants.js
+ */
+const createTokenService = ({ keys, issuer, audience, ttlSeconds, db, tenants }) => {
+  const tenantOf = (id) => (tenants && id ? tenants.get(id) : null);
+  const audienceFor = (tenantId) => {
+    const tenant = tenantOf(tenantId);
+    return (tenant && tenant.audience) || audience;
+  };
+  const audiences = [...new Set([
+    audience,
+    ...(tenants ? tenants.list.map(tenant => tenant.audience).filter(Boolean) : [])
+  ])];
+
+  const signPayload = (payload) => {
+    const key = keys.getSigningKey();
+    return {
+      token: jwt.sign(payload, key.privateKey, key.kid ? { algorithm: key.alg, keyid: key.kid } : { algorithm: key.alg }),
+      claims: payload
+    };
+  };
+
+  // Sign an access token for an Odoo user; `claims` adds or overrides claims
+  const sign = (user, claims = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const tenant = tenantOf(user.tenant);
+    const payload = {
+      iss: issuer,
+      aud: audienceFor(user.tenant),
+      sub: String(user.id),
+      jti: crypto.randomUUID(),
+      iat: now,
+      nbf: now,
+      exp: now + ttlSeconds,
+      tenant: user.tenant,
+      odoo_db: tenant ? tenant.db : db,
+      odoo_uid: user.id,
+      name: user.name,
+      email: user.email,
+      login: user.login,
+      groups: user.groups || [],
+      company_id: user.company_id,
+      company_ids: user.company_ids,
+      ...claims
+    };
+    return signPayload(payload);
+  };
+
+  // Sign a token with only `claims` and its issuer and lifetime, such as an
+  // OpenID Connect ID token, which names no more of the user than it must
+  const signClaims = (claims) => {
+    const now = Math.floor(Date.now() / 1000);
+    return signPayload({ iss: issuer, iat: now, exp: now + ttlSeconds, ...claims });
+  };
+
+  // Pick the verification key from the token's `kid` header
+  const getKey = (header, callback) => {
+    const key = keys.getVerificationKey(header.kid);
+    if (!key) return callback(new jwt.JsonWebTokenError('unknown signing key'));
+    callback(null, key);
+  };
+
+  // Resolve with the verified claims or reject with a jsonwebtoken error.
+  // A token is only accepted for the audience of the tenant it names.
+  const verify = (token) => new Promise((resolve, reject) => {
+    jwt.verify(token, getKey, { algorithms: keys.algorithms, issuer, audience: audiences }, (error, claims) => {
+      if (error) return reject(error);
+      if (claims.aud !== audienceFor(claims.tenant)) {
+        return reject(new jwt.JsonWebTokenError('jwt audience invalid for tenant'));
+      }
+      resolve(claims);
+    });
+  });
+
+  // Rebuild the user object that sessions carry from verified claims
+  const userFromClaims = (claims) => ({
+    id: claims.odoo_uid,
+    name: claims.name,
+    email: claims.email,
+    login: claims.login,
+    groups: claims.groups || [],
+    company_id: claims.company_id,
+    company_ids: claims.company_ids,
+    tenant: claims.tenant
+  });
+
+  return {
+    sign,
+    signClaims,
+    verify,
+    userFromClaims
+  };
+};
+
+module.exports = {
+  TOKEN_MODES,
+  createTokenService
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { createKeyManager } = require('./keys');
+const { createTokenService } = require('./tokens');
+const { createTenantRegistry } = require('./tenants');
+
+describe('Access tokens', () => {
+  const secretKeys = createKeyManager({ algorithm: 'HS256', secret: 'test-secret' });
+  const options = {
+    keys: secretKeys,
+    issuer: 'https://auth.example.com',
+    audience: 'example-apps',
+    ttlSeconds: 3600,
+    db: 'example_db'
+  };
+  const user = { id: 7, name: 'Jane', email: 'jane@example.com', login: 'jane', groups: ['base.group_user'] };
+
+  test('signs tokens with the standard and Odoo claims', async () => {
+    const service = createTokenService(options);
+    const { token } = service.sign(user);
+    const claims = await service.verify(token);
+
+    expect(claims).toMatchObject({
+      iss: 'https://auth.example.com',
+      aud: 'example-apps',
+      sub: '7',
+      odoo_db: 'example_db',
+      odoo_uid: 7,
+      email: 'jane@example.com',
+      groups: ['base.group_user']
+    });
+    expect(claims.jti).toEqual(expect.any(String));
+    expect(claims.nbf).toBe(claims.iat);
+    expect(claims.exp - claims.iat).toBe(3600);
+    expect(service.userFromClaims(claims)).toEqual(user);
+  });
+
+  test('issues a unique jti per token', () => {
+    const service = createTokenService(options);
+    expect(service.sign(user).claims.jti).not.toBe(service.sign(user).claims.jti);
+  });
+
+  test('can be verified with the shared secret alone', () => {
+    const { token } = createTokenService(options).sign(user);
+    expect(() => jwt.verify(token, 'test-secret', {
+      issuer: options.issuer,
+      audience: options.audience
+    })).not.toThrow();
+  });
+
+  test('rejects tokens for another audience', async () => {
+    const { token } = createTokenService({ ...options, audience: 'other' }).sign(user);
+    await expect(createTokenService(options).verify(token)).rejects.toThrow('jwt audience invalid');
+  });
+
+  test('binds tokens to the tenant database and audience', async () => {
+    const tenants = createTenantRegistry({
+      tenants: [
+        { id: 'acme', baseUrl: 'https://acme.odoo.com', db: 'acme-prod', audience: 'acme-apps' },
+        { id: 'globex', baseUrl: 'https://erp.globex.com', db: 'globex' }
+      ]
+    });
+    const service = createTokenService({ ...options, tenants });
+
+    const acme = await service.verify(service.sign({ ...user, tenant: 'acme' }).token);
+    expect(acme).toMatchObject({ aud: 'acme-apps', tenant: 'acme', odoo_db: 'acme-prod' });
+    expect(service.userFromClaims(acme).tenant).toBe('acme');
+
+    const globex = await service.verify(service.sign({ ...user, tenant: 'globex' }).token);
+    expect(globex).toMatchObject({ aud: 'example-apps', odoo_db: 'globex' });
+
+    // A globex token re-labelled with the acme audience must not pass
+    const forged = service.sign({ ...user, tenant: 'globex' }, { aud: 'acme-apps' }).token;
+    await expect(service.verify(forged)).rejects.toThrow('audience invalid for tenant');
+  });
+
+  test('rejects tokens signed with another secret', async () => {
+    const otherKeys = createKeyManager({ algorithm: 'HS256', secret: 'other' });
+    const { token } = createTokenService({ ...options, keys: otherKeys }).sign(user);
+    await expect(createTokenService(options).verify(token)).rejects.toThrow('invalid signature');
+  });
+
+  test('rejects HS256 tokens when asymmetric keys are configured', async () => {
+    const { token } = createTokenService(options).sign(user);
+    const keyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokens-'));
+    try {
+      const rsaKeys = createKeyManager({ algorithm: 'RS256', keyDir });
+      await expect(createTokenService({ ...options, keys: rsaKeys }).verify(token)).rejects.toThrow();
+    } finally {
+      fs.rmSync(keyDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * TOTP
+ * Time-based one-time passwords (RFC 6238) as produced by authenticator apps
+ * and Odoo's two-factor authentication: HMAC-SHA1, 30 second steps, 6 digits.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Decode an RFC 4648 base32 secret; spaces, dashes and padding are ignored
+const base32Decode = (value) => {
+  const clean = String(value).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = bits.match(/.{8}/g) || [];
+  return Buffer.from(bytes.map(byte => parseInt(byte, 2)));
+};
+
+// HOTP value (RFC 4226) of a counter
+const hotp = (key, counter, digits = 6) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+const timeStep = (time = Date.now(), step = 30) => Math.floor(time / 1000 / step);
+
+// The code an authenticator shows for `secret` at `time`
+const generateTotp = (secret, { time = Date.now(), step = 30, digits = 6 } = {}) => (
+  hotp(base32Decode(secret), timeStep(time, step), digits)
+);
+
+/**
+ * Check a code, allowing `window` steps of clock drift either way. Returns the
+ * matching time step, so callers can refuse to accept it twice, or null.
+ */
+const verifyTotp = (secret, code, { time = Date.now(), step = 30, digits = 6, window = 1 } = {}) => {
+  if (typeof code !== 'string' || !new RegExp(`^\\d{${digits}}$`).test(code)) return null;
+
+  const key = base32Decode(secret);
+  const current = timeStep(time, step);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(key, current + offset, digits);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(code))) {
+      return current + offset;
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  base32Decode,
+  generateTotp,
+  verifyTotp
+};
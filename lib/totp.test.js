@@ -0,0 +1,33 @@
+const { base32Decode, generateTotp, verifyTotp } = require('./totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  test('decodes base32 secrets', () => {
+    expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+    expect(base32Decode('gezd gnbv-gy3t qojq').toString()).toBe('1234567890');
+    expect(() => base32Decode('not base32!')).toThrow('Invalid base32 secret');
+  });
+
+  test('matches the RFC 6238 test vectors', () => {
+    expect(generateTotp(secret, { time: 59 * 1000, digits: 8 })).toBe('94287082');
+    expect(generateTotp(secret, { time: 1111111109 * 1000 })).toBe('081804');
+    expect(generateTotp(secret, { time: 2000000000 * 1000, digits: 8 })).toBe('69279037');
+  });
+
+  test('accepts codes within the drift window and returns their step', () => {
+    const time = 1111111109 * 1000;
+    const previous = generateTotp(secret, { time: time - 30000 });
+
+    expect(verifyTotp(secret, '081804', { time })).toBe(37037036);
+    expect(verifyTotp(secret, previous, { time })).toBe(37037035);
+    expect(verifyTotp(secret, previous, { time, window: 0 })).toBeNull();
+  });
+
+  test('rejects malformed codes', () => {
+    expect(verifyTotp(secret, '81804')).toBeNull();
+    expect(verifyTotp(secret, 81804)).toBeNull();
+    expect(verifyTotp(secret, 'abcdef')).toBeNull();
+  });
+});
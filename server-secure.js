@@ -1,16 +1,112 @@
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
+const { ipKeyGenerator } = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
-const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const Odoo = require('@renanteixeira/odoo-await');
+const { createSessionStore } = require('./lib/session-store');
+const { createRefreshTokenService } = require('./lib/refresh-tokens');
+const { TOKEN_MODES, createTokenService } = require('./lib/tokens');
+const { createKeyManager } = require('./lib/keys');
+const { createRevocationList } = require('./lib/revocation');
+const { createOidcRouter } = require('./lib/oidc');
+const { loadJsonConfig } = require('./lib/config');
+const { createClientRegistry } = require('./lib/clients');
+const { createTenantRegistry } = require('./lib/tenants');
+const { createSessionPolicy } = require('./lib/session-policy');
+const { createOdooAllowlist, createOdooProxyRouter } = require('./lib/odoo-proxy');
+const { resolveGroupXmlIds, requireGroup } = require('./lib/groups');
+const { companiesFromRecord, companyContext, switchCompany, withContext } = require('./lib/companies');
+const { parseCredentialTypes, requireCredentialType } = require('./lib/credentials');
+const { createLoginPolicy } = require('./lib/login-policy');
+const { createMfaService } = require('./lib/mfa');
+const { createServiceClientRegistry } = require('./lib/service-clients');
+const { READ_SCOPE, parseScopes, requireScope, requireUserToken } = require('./lib/scopes');
+const { cached, createCommonRpc, createOdooProbe, runChecks } = require('./lib/health');
+const { DEFAULT_CHECKS, createDiagnostics } = require('./lib/diagnostics');
+const { createOdooClientPool, isLoginRejected, poolKey } = require('./lib/odoo-pool');
+const { createAccountLockout, createNetworkAllowlist } = require('./lib/lockout');
+const { createRateLimiter, parsePolicies } = require('./lib/rate-limit');
+const { createAuditLog, createConsoleSink, createFileSink } = require('./lib/audit');
+const { assignRequestId, createLogger, requestIdHeaders, sanitizeError } = require('./lib/logger');
 require('dotenv').config({ override: true });
 
 const app = express();
 const PORT = process.env.PORT || 3001;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
+const REFRESH_TOKEN_TTL = (Number(process.env.REFRESH_TOKEN_TTL) || 14 * 24 * 60 * 60) * 1000; // 14 days
+const MFA_CHALLENGE_TTL = (Number(process.env.MFA_CHALLENGE_TTL) || 5 * 60) * 1000; // 5 minutes
+
+// JSON log lines at LOG_LEVEL (error, warn, info or debug) and above
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+// Sessions end after SESSION_IDLE_TIMEOUT without use or SESSION_MAX_LIFETIME
+// after they were created (seconds, default 1 hour each)
+const sessionPolicy = createSessionPolicy({
+  idleTimeoutMs: (Number(process.env.SESSION_IDLE_TIMEOUT) || 60 * 60) * 1000,
+  absoluteLifetimeMs: (Number(process.env.SESSION_MAX_LIFETIME) || 60 * 60) * 1000
+});
+
+// Credentials users may log in with: password and/or api_key
+const CREDENTIAL_TYPES = parseCredentialTypes(process.env.LOGIN_CREDENTIAL_TYPES);
+
+// What /auth/login hands out: opaque session tokens, signed JWTs, or both
+const TOKEN_MODE = process.env.TOKEN_MODE || 'session';
+if (!TOKEN_MODES.includes(TOKEN_MODE)) {
+  throw new Error(`TOKEN_MODE must be one of: ${TOKEN_MODES.join(', ')}`);
+}
+
+// Signing keys: RS256/ES256 key pairs (published at /.well-known/jwks.json)
+// or an HS256 shared secret
+const signingKeys = createKeyManager({
+  algorithm: process.env.JWT_ALGORITHM || 'RS256',
+  secret: process.env.JWT_SECRET,
+  privateKeyFile: process.env.JWT_PRIVATE_KEY_FILE,
+  publicKeyFiles: (process.env.JWT_PUBLIC_KEY_FILES || '').split(',').map(file => file.trim()).filter(Boolean),
+  keyDir: process.env.JWT_KEY_DIR || path.join(process.env.SESSION_STORE_DIR || path.join(process.cwd(), 'data'), 'keys'),
+  tokenTtlMs: sessionPolicy.tokenTtlMs,
+  rotationMs: (Number(process.env.JWT_KEY_ROTATION_DAYS) || 0) * 24 * 60 * 60 * 1000
+});
+
+// Odoo databases served by this deployment (see TENANTS); without TENANTS a
+// single "default" tenant comes from the ODOO_* variables
+const tenants = createTenantRegistry({
+  tenants: loadJsonConfig(process.env.TENANTS, []),
+  fallback: {
+    baseUrl: process.env.ODOO_BASE_URL,
+    db: process.env.ODOO_DB,
+    port: process.env.ODOO_PORT || 8069,
+    serviceAccount: process.env.ODOO_SERVICE_LOGIN
+      ? { login: process.env.ODOO_SERVICE_LOGIN, password: process.env.ODOO_SERVICE_PASSWORD }
+      : null
+  },
+  defaultTenant: process.env.TENANT_DEFAULT,
+  pathPrefix: process.env.TENANT_PATH_PREFIX || '/t'
+});
+
+// What users may log in with: an email, an Odoo login or both (default), and
+// how it is normalized; tenants override either with `loginPolicy`
+const defaultLoginPolicy = {
+  identifier: process.env.LOGIN_IDENTIFIER || 'both',
+  normalize: process.env.LOGIN_NORMALIZE
+};
+const loginPolicies = new Map(tenants.list.map(tenant => [
+  tenant.id,
+  createLoginPolicy({ ...defaultLoginPolicy, ...tenant.loginPolicy })
+]));
+const loginPolicyOf = req => (req.tenant && loginPolicies.get(req.tenant.id)) || createLoginPolicy(defaultLoginPolicy);
+
+const tokenService = createTokenService({
+  keys: signingKeys,
+  issuer: process.env.JWT_ISSUER || 'odoo-auth-service',
+  audience: process.env.JWT_AUDIENCE || 'odoo-auth-clients',
+  ttlSeconds: sessionPolicy.tokenTtlMs / 1000,
+  tenants
+});
+
+// Request IDs first, so every later log line and error response carries one
+app.use(assignRequestId);
 
 // Security middleware
 app.use(helmet({
@@ -29,38 +125,84 @@ app.use(helmet({
   }
 }));
 
-// Rate limiting
-const loginLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // Limit each IP to 5 login requests per windowMs
-  message: {
-    error: 'Too many login attempts, please try again later',
-    retryAfter: '15 minutes'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
+// Networks whose addresses are shared by many users (e.g. an office NAT).
+// They skip the per-IP login limit; the per-account lockout still applies.
+const isTrustedNetwork = createNetworkAllowlist(
+  (process.env.TRUSTED_NETWORKS || '').split(',').map(entry => entry.trim()).filter(Boolean)
+);
 
-const generalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests, please try again later'
-  }
+// Audit trail of authentication events, written to every AUDIT_SINKS sink
+const auditSinks = {
+  file: () => createFileSink({
+    file: process.env.AUDIT_LOG_FILE || path.join(process.cwd(), 'data', 'audit.jsonl'),
+    maxBytes: (Number(process.env.AUDIT_LOG_MAX_SIZE) || 10) * 1024 * 1024,
+    rotateIntervalMs: (Number(process.env.AUDIT_LOG_ROTATE_INTERVAL) || 24 * 60 * 60) * 1000
+  }),
+  console: createConsoleSink
+};
+const audit = createAuditLog({
+  sinks: (process.env.AUDIT_SINKS === undefined ? 'file' : process.env.AUDIT_SINKS)
+    .split(',').map(name => name.trim()).filter(Boolean)
+    .map((name) => {
+      if (!auditSinks[name]) {
+        throw new Error(`Unknown audit sink: ${name}`);
+      }
+      return auditSinks[name]();
+    }),
+  hashSecret: process.env.AUDIT_HASH_SECRET,
+  onError: error => logger.error('Audit log error', { error })
 });
 
-app.use(generalLimiter);
+// Every store shares the SESSION_STORE backend and is closed on shutdown
+const openStores = [];
+const openStore = (namespace) => {
+  const store = createSessionStore({ namespace });
+  openStores.push(store);
+  return store;
+};
 
-// CORS with specific origin in production
-const corsOptions = {
-  origin: process.env.NODE_ENV === 'production' 
-    ? process.env.FRONTEND_URL 
-    : ['http://localhost:8080', 'http://localhost:3000', 'http://localhost:5173'],
-  credentials: true,
-  optionsSuccessStatus: 200
+// Who a request counts against: the user or service client its access token
+// belongs to, else its IP address
+const rateLimitCallers = new WeakMap();
+const identifyCaller = (req) => {
+  if (!rateLimitCallers.has(req)) {
+    rateLimitCallers.set(req, (async () => {
+      const result = await lookupRequestToken(req);
+      if (!result || result.error) {
+        return { type: 'anonymous', key: `ip:${ipKeyGenerator(req.ip || '')}` };
+      }
+      return { type: scopesOf(result) ? 'service' : 'user', key: `user:${poolKey(result.user)}` };
+    })());
+  }
+  return rateLimitCallers.get(req);
 };
 
-app.use(cors(corsOptions));
+// Rate limiting, configured by RATE_LIMITS
+const rateLimitPolicies = parsePolicies(loadJsonConfig(process.env.RATE_LIMITS, {}));
+const rateLimitStores = [];
+const limiter = (name, skip) => {
+  const store = openStore(`ratelimit-${name}`);
+  rateLimitStores.push(store);
+  return createRateLimiter(rateLimitPolicies[name], {
+    name,
+    store,
+    identify: identifyCaller,
+    skip,
+    onLimit: req => audit.record('rate_limit.hit', req, { outcome: 'denied', policy: name })
+  });
+};
+
+const loginLimiter = limiter('login', req => isTrustedNetwork(req.ip));
+const refreshLimiter = limiter('refresh');
+const mfaLimiter = limiter('mfa');
+const tokenLimiter = limiter('token');
+const introspectionLimiter = limiter('introspection');
+// Introspection has its own limiter; probes poll health far more often
+const generalLimiter = limiter('general', req => (
+  req.path.endsWith('/oauth/introspect') || req.path.startsWith('/health')
+));
+
+app.use(generalLimiter);
 
 // Body parsing with size limits
 app.use(express.json({ 
@@ -73,77 +215,402 @@ app.use(express.urlencoded({
   limit: '10mb' 
 }));
 
-// Store active sessions (in production, use Redis or database)
-const sessions = new Map();
+// Resolve the tenant (path prefix, X-Tenant, Host or login db) into req.tenant
+app.use(tenants.middleware);
+
+// CORS with specific origin in production; tenants may list their own origins
+const corsOptions = {
+  origin: process.env.NODE_ENV === 'production' 
+    ? process.env.FRONTEND_URL 
+    : ['http://localhost:8080', 'http://localhost:3000', 'http://localhost:5173'],
+  credentials: true,
+  exposedHeaders: ['X-Session-Expires-In', 'X-Session-Absolute-Expires-In'],
+  optionsSuccessStatus: 200
+};
+
+app.use(cors((req, callback) => {
+  callback(null, {
+    ...corsOptions,
+    origin: (req.tenant && req.tenant.corsOrigins) || corsOptions.origin
+  });
+}));
+
+// Store active sessions (memory, file or Redis - see SESSION_STORE)
+const sessions = openStore('sessions');
+
+// Session tokens of each user, so listing or ending a user's sessions does not
+// read every session; keyed like the Odoo client pool
+const sessionIndex = openStore('session-index');
+
+// Odoo clients hold live connections and credentials, so they stay in this
+// process and are never written to the session store. Sessions and JWTs find
+// their user's client by tenant and user ID.
+const odooPool = createOdooClientPool({
+  connect: ({ login, password, tenant }) => connectOdooClient(login, password, tenants.get(tenant)),
+  maxClients: Number(process.env.ODOO_POOL_MAX_CLIENTS) || 100,
+  idleTimeoutMs: (Number(process.env.ODOO_POOL_IDLE_TIMEOUT) || 900) * 1000,
+  credentialTtlMs: (Number(process.env.ODOO_POOL_CREDENTIAL_TTL) || REFRESH_TOKEN_TTL / 1000) * 1000
+});
+
+// Keep what a successful login needs to reconnect the user later
+const rememberOdooLogin = (user, login, password, odoo = null) => {
+  odooPool.remember(poolKey(user), { login, password, tenant: user.tenant }, odoo);
+};
+
+// The caller's Odoo client in their active company, connected on first use;
+// null when this process cannot log the user in again
+const getOdooClient = async (req) => {
+  try {
+    return withContext(await odooPool.acquire(poolKey(req.user)), companyContext(req.user));
+  } catch (error) {
+    if (error.name === 'OdooPoolError') return null;
+    throw error;
+  }
+};
+
+const getBearerToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Remaining lifetime of a session plus a grace period, used as the store TTL.
+// Expired sessions are kept that much longer so their tokens get 401 "Token
+// expired" (and an audit entry) instead of looking unknown; nothing accepts
+// them, and the cleanup below removes them.
+const EXPIRED_SESSION_GRACE_MS = 60 * 60 * 1000;
+const sessionTtl = (session) => sessionPolicy.remainingMs(session) + EXPIRED_SESSION_GRACE_MS;
+
+const destroySession = async (token) => {
+  await sessions.delete(token);
+};
+
+const touchSession = async (token, session) => {
+  session.lastAccess = Date.now();
+  await sessions.set(token, session, sessionTtl(session));
+};
+
+const generateSessionToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Where and how a session was opened, as listed by GET /auth/sessions. `id`,
+// `signedInAt` and `credentialType` survive refreshes; `previous` is the
+// description being refreshed.
+const describeClient = (req, previous = {}) => ({
+  id: previous.id || crypto.randomUUID(),
+  signedInAt: previous.signedInAt || Date.now(),
+  credentialType: previous.credentialType || 'password',
+  ip: req.ip,
+  userAgent: req.get('user-agent') || null
+});
+
+const storeSession = async (sessionToken, user, refreshFamily, jwtId, client) => {
+  const now = Date.now();
+  await sessions.set(sessionToken, {
+    ...client,
+    user,
+    refreshFamily,
+    jwtId,
+    createdAt: now,
+    lastAccess: now
+  }, sessionTtl({ signedInAt: client.signedInAt, createdAt: now, lastAccess: now }));
+  // No session outlives the absolute lifetime, so neither does the index
+  await sessionIndex.addMember(poolKey(user), sessionToken, sessionPolicy.absoluteLifetimeMs);
+};
+
+// Sign the JWT of the sign-in `client` describes. It carries the refresh
+// family as `sid` so logging out can revoke it.
+const signAccessToken = (user, refreshFamily, client) => tokenService.sign(user, {
+  // Never past the absolute lifetime of the sign-in
+  exp: Math.floor(Math.min(Date.now() + sessionPolicy.tokenTtlMs, sessionPolicy.absoluteExpiresAt(client)) / 1000),
+  sid: refreshFamily,
+  credential_type: client.credentialType,
+  ...(client.scope !== undefined && { scope: client.scope, client_id: client.clientId })
+});
+
+// Create the access token(s) for the configured TOKEN_MODE. `sessionToken` is
+// null in jwt mode, where nothing is kept server-side.
+const issueAccessTokens = async (sessionToken, user, refreshFamily, client) => {
+  const signed = TOKEN_MODE === 'session' ? null : signAccessToken(user, refreshFamily, client);
+
+  if (sessionToken) {
+    await storeSession(sessionToken, user, refreshFamily, signed && signed.claims.jti, client);
+  }
+
+  if (TOKEN_MODE === 'session') {
+    return { token: sessionToken, tokenType: 'session' };
+  }
+
+  if (TOKEN_MODE === 'jwt') {
+    return { token: signed.token, tokenType: 'jwt' };
+  }
+
+  return { token: sessionToken, tokenType: 'session', jwt: signed.token };
+};
+
+const newSessionToken = () => (TOKEN_MODE === 'jwt' ? null : generateSessionToken());
+
+// Single-use refresh tokens, rotated on every /auth/refresh
+const refreshTokens = createRefreshTokenService({
+  store: openStore('refresh'),
+  ttlMs: REFRESH_TOKEN_TTL,
+  index: openStore('refresh-index'),
+  ownerOf: data => (data && data.user ? poolKey(data.user) : null)
+});
+
+// Denylist for JWTs revoked before their `exp`
+const revocations = createRevocationList({
+  store: openStore('revoked'),
+  tokenTtlMs: sessionPolicy.tokenTtlMs
+});
+
+// End a stored session along with its refresh family and paired JWT
+const endSession = async (token, session) => {
+  await refreshTokens.revokeFamily(session.refreshFamily);
+  await revocations.revokeToken(session.jwtId);
+  await destroySession(token);
+};
+
+// Revoke an opaque session token or a JWT together with its refresh family.
+// Resolves with the token's user, or null when the token is unknown, invalid
+// or already expired.
+const revokeAccessToken = async (token) => {
+  const session = await sessions.get(token);
+  if (session) {
+    await endSession(token, session);
+    return session.user;
+  }
+
+  try {
+    const claims = await tokenService.verify(token);
+    await revocations.revokeToken(claims.jti, claims.exp);
+    await refreshTokens.revokeFamily(claims.sid);
+    return tokenService.userFromClaims(claims);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Log in to the tenant's Odoo. `uid` is falsy when Odoo rejects the credentials.
+const connectOdooClient = async (username, password, tenant) => {
+  // Create Odoo client with timeout
+  const odoo = new Odoo({
+    baseUrl: tenant.baseUrl,
+    db: tenant.db,
+    username,
+    password,
+    port: tenant.port,
+    timeout: 30000 // 30 seconds timeout
+  });
+
+  // Tag each XML-RPC call with the request it serves, so Odoo's access log
+  // can be matched with ours; pooled clients serve many requests
+  if (typeof odoo.createClientOptions === 'function') {
+    const clientOptions = odoo.createClientOptions.bind(odoo);
+    odoo.createClientOptions = path => ({ ...clientOptions(path), headers: requestIdHeaders() });
+  }
+
+  // Connect to Odoo with timeout
+  const connectPromise = odoo.connect();
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Connection timeout')), 30000);
+  });
+
+  try {
+    const uid = await Promise.race([connectPromise, timeoutPromise]);
+    return { odoo, uid };
+  } catch (error) {
+    // Refused credentials are an answer, not an error; Odoo being unreachable is
+    if (isLoginRejected(error)) {
+      return { odoo, uid: false };
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Check credentials against the tenant's Odoo and read the user record. `uid`
+// is falsy when Odoo rejects the credentials, `user` is null when the record
+// cannot be read.
+const connectToOdoo = async (username, password, tenant) => {
+  const { odoo, uid } = await connectOdooClient(username, password, tenant);
+
+  if (!uid) {
+    return { odoo, uid, user: null };
+  }
+
+  // Get user information
+  const userRecord = await odoo.read('res.users', uid, ['name', 'email', 'login', 'groups_id', 'company_id', 'company_ids']);
+
+  if (!userRecord || userRecord.length === 0) {
+    return { odoo, uid, user: null };
+  }
+
+  // Roles as XML IDs; a user who cannot read them simply has none
+  let groups = [];
+  try {
+    groups = await resolveGroupXmlIds(odoo, userRecord[0].groups_id);
+  } catch (error) {
+    logger.warn('Could not resolve groups', { error });
+  }
+
+  return {
+    odoo,
+    uid,
+    user: {
+      id: uid,
+      name: userRecord[0].name,
+      email: userRecord[0].email,
+      login: userRecord[0].login,
+      groups,
+      ...companiesFromRecord(userRecord[0]),
+      tenant: tenant.id
+    }
+  };
+};
 
 // Input validation middleware
+// Field rules shared by the login and password endpoints
+const usernameField = (field) => body(field)
+  .custom((value, { req }) => {
+    const problem = loginPolicyOf(req).check(value);
+    if (problem) throw new Error(problem);
+    return true;
+  })
+  .bail()
+  .customSanitizer((value, { req }) => loginPolicyOf(req).normalize(value));
+
+// Passwords reach Odoo exactly as typed
+const passwordField = (field) => body(field, 'Password is required')
+  .isString()
+  .isLength({ min: 1, max: 255 });
+
 const validateLogin = [
-  body('username')
-    .isEmail()
-    .isLength({ min: 3, max: 100 })
-    .normalizeEmail()
-    .escape(),
-  body('password')
-    .isLength({ min: 1, max: 255 })
-    .escape(),
+  usernameField('username'),
+  passwordField('password'),
+];
+
+const validatePasswordChange = [
+  passwordField('currentPassword'),
+  passwordField('newPassword'),
+];
+
+const validateResetRequest = [
+  usernameField('username'),
+];
+
+const validateApiKeyLogin = [
+  usernameField('login'),
+  body('apiKey')
+    .isString()
+    .isLength({ min: 1, max: 255 }),
 ];
 
 // JWT token validation middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Check an access token (opaque session token or JWT). Resolves with the
+// caller's identity, or with an `error` holding the status to answer with.
+// When the request named a tenant, the token must belong to it.
+const resolveAccessToken = async (token, expectedTenant = null) => (
+  forTenant(await lookupAccessToken(token), expectedTenant)
+);
+
+// Refuse a token of another tenant than the one the request named
+const forTenant = (result, expectedTenant) => (
+  !result.error && expectedTenant && result.user.tenant !== expectedTenant.id
+    ? { error: { status: 403, message: 'Token not valid for this tenant' } }
+    : result
+);
+
+// Read-only: an expired session is reported, and left for authenticateToken
+// to end, so looking a token up never changes what the next lookup finds
+const lookupAccessToken = async (token) => {
+  // For simple session tokens (backward compatibility)
+  const session = await sessions.get(token);
+  if (session) {
+    // Idle too long or past its absolute lifetime
+    if (sessionPolicy.isExpired(session)) {
+      return { error: { status: 401, message: 'Token expired' }, expiredUser: session.user };
+    }
+    return { user: session.user, session, sessionToken: token };
+  }
+
+  // For JWT tokens
+  let claims;
+  try {
+    claims = await tokenService.verify(token);
+  } catch (err) {
+    return { error: { status: 403, message: 'Invalid or expired token' } };
+  }
+  if (await revocations.isRevoked(claims)) {
+    return { error: { status: 401, message: 'Token revoked' } };
+  }
+  return { user: tokenService.userFromClaims(claims), claims };
+};
+
+// The bearer token of a request, looked up once: the rate limiters identify
+// the caller with it before authenticateToken checks it
+const requestTokens = new WeakMap();
+const lookupRequestToken = (req) => {
+  if (!requestTokens.has(req)) {
+    const token = getBearerToken(req);
+    requestTokens.set(req, token ? lookupAccessToken(token) : Promise.resolve(null));
+  }
+  return requestTokens.get(req);
+};
+
+// Service client tokens and the access tokens OpenID Connect clients get
+const SCOPED_CREDENTIAL_TYPES = ['client_credentials', 'oidc'];
+
+// Scopes of a scoped token; null for users' own tokens, which scopes do not limit
+const scopesOf = ({ session, claims }) => {
+  const grant = session
+    ? { type: session.credentialType, scope: session.scope }
+    : { type: claims.credential_type, scope: claims.scope };
+  return SCOPED_CREDENTIAL_TYPES.includes(grant.type) ? parseScopes(grant.scope) || [] : null;
+};
+
+// A JWT cannot be extended, so both headers count down to its `exp`
+const tokenExpiryHeaders = (claims) => {
+  const remaining = String(Math.max(0, claims.exp - Math.floor(Date.now() / 1000)));
+  return { 'X-Session-Expires-In': remaining, 'X-Session-Absolute-Expires-In': remaining };
+};
+
+const authenticateToken = async (req, res, next) => {
+  const token = getBearerToken(req);
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
   try {
-    // For simple session tokens (backward compatibility)
-    if (sessions.has(token)) {
-      const session = sessions.get(token);
-      // Check if session is expired (1 hour)
-      if (Date.now() - session.createdAt.getTime() > 60 * 60 * 1000) {
-        sessions.delete(token);
-        return res.status(401).json({ error: 'Token expired' });
-      }
-      req.user = session.user;
-      req.odooClient = session.odooClient;
-      return next();
+    const result = forTenant(await lookupRequestToken(req), req.tenantExplicit ? req.tenant : null);
+    if (result.expiredUser) {
+      await destroySession(token);
+      audit.record('token.expired', req, { outcome: 'expired', user: result.expiredUser });
+    }
+    if (result.error) {
+      return res.status(result.error.status).json({ error: result.error.message });
     }
 
-    // For JWT tokens
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-      if (err) {
-        return res.status(403).json({ error: 'Invalid or expired token' });
-      }
-      req.user = user;
-      next();
-    });
+    req.user = result.user;
+    req.tenant = tenants.get(result.user.tenant) || req.tenant;
+    if (result.session) {
+      // Every authenticated request counts as activity for the idle timeout
+      await touchSession(result.sessionToken, result.session);
+      req.session = result.session;
+      req.sessionToken = result.sessionToken;
+      res.set(sessionPolicy.headers(result.session));
+    } else {
+      req.tokenClaims = result.claims;
+      res.set(tokenExpiryHeaders(result.claims));
+    }
+    req.scopes = scopesOf(result);
+    return next();
   } catch (error) {
     return res.status(403).json({ error: 'Invalid token format' });
   }
 };
 
-// Sanitize error messages to prevent information leakage
-const sanitizeError = (error) => {
-  const sensitivePatterns = [
-    /password/gi,
-    /token/gi,
-    /secret/gi,
-    /key/gi,
-    /database/gi,
-    /connection/gi
-  ];
-
-  let message = error.message || 'An error occurred';
-  
-  sensitivePatterns.forEach(pattern => {
-    message = message.replace(pattern, '[REDACTED]');
-  });
-
-  return message;
-};
-
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -154,15 +621,221 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Login endpoint with enhanced security
-app.post('/auth/login', loginLimiter, validateLogin, async (req, res) => {
+// Liveness: the process answers. Says nothing about Odoo on purpose, so an
+// Odoo outage does not get healthy containers restarted.
+app.get('/health/live', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+});
+
+// Readiness: every dependency works. Odoo probes are cached so frequent
+// polling does not load Odoo.
+const HEALTH_CHECK_TIMEOUT = (Number(process.env.HEALTH_CHECK_TIMEOUT) || 5) * 1000;
+const readinessChecks = {
+  sessionStore: async () => {
+    await sessions.get('health-check');
+    return { type: process.env.SESSION_STORE || 'memory' };
+  },
+  signingKeys: async () => {
+    const key = signingKeys.getSigningKey();
+    if (!key || !key.privateKey) {
+      throw new Error('No signing key available');
+    }
+    return { ...signingKeys.status(), kid: key.kid };
+  },
+  ...Object.fromEntries(tenants.list.map(tenant => [
+    tenants.multiTenant ? `odoo:${tenant.id}` : 'odoo',
+    cached(
+      createOdooProbe(tenant, { timeoutMs: HEALTH_CHECK_TIMEOUT }),
+      (Number(process.env.HEALTH_CACHE_TTL) || 30) * 1000
+    )
+  ]))
+};
+
+app.get('/health/ready', async (req, res) => {
+  const result = await runChecks(readinessChecks, {
+    timeoutMs: HEALTH_CHECK_TIMEOUT,
+    describeError: sanitizeError
+  });
+
+  res.set('Cache-Control', 'no-store');
+  res.status(result.status === 'ok' ? 200 : 503).json({
+    status: result.status === 'ok' ? 'READY' : 'NOT_READY',
+    checks: result.checks,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Public signing keys for verifying access tokens without a shared secret
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(signingKeys.jwks());
+});
+
+// TOTP challenges of the login; the Odoo client of a pending login waits
+// here, in this process, until the code is checked
+const mfa = createMfaService({
+  store: openStore('mfa'),
+  ttlMs: MFA_CHALLENGE_TTL,
+  maxAttempts: Number(process.env.MFA_MAX_ATTEMPTS) || 5
+});
+// Failed logins per account, whichever IPs they come from
+const accountLockout = createAccountLockout({
+  store: openStore('lockout'),
+  maxFailures: Number(process.env.LOCKOUT_MAX_FAILURES) || 5,
+  baseDelayMs: (Number(process.env.LOCKOUT_BASE_DELAY) || 1) * 1000,
+  maxDelayMs: (Number(process.env.LOCKOUT_MAX_DELAY) || 60) * 1000,
+  lockoutMs: (Number(process.env.LOCKOUT_DURATION) || 900) * 1000
+});
+
+// Lockout key of a username; logins are case-insensitive in Odoo
+const lockoutAccount = (tenant, username) => (
+  tenant && typeof username === 'string' && username.trim()
+    ? `${tenant.id}:${username.trim().toLowerCase()}`
+    : null
+);
+const accountGuard = field => accountLockout.guard(
+  req => lockoutAccount(req.tenant, req.body && req.body[field]),
+  req => audit.record('rate_limit.hit', req, {
+    outcome: 'denied',
+    policy: 'account_lockout',
+    user: { login: req.body[field] }
+  })
+);
+
+// Logins waiting for their TOTP step, with what the pool needs once it passes
+const pendingLogins = new Map();
+
+// Odoo does not hand out TOTP secrets over RPC, so they are provisioned here,
+// keyed by "<tenant>:<login>" or just "<login>"
+const totpSecrets = loadJsonConfig(process.env.MFA_TOTP_SECRETS, {});
+const getTotpSecret = (user) => totpSecrets[`${user.tenant}:${user.login}`] || totpSecrets[user.login] || null;
+
+// Whether the user has to pass the TOTP step. Without the auth_totp module
+// Odoo has no totp_enabled field and only provisioned secrets count.
+const requiresTotp = async (odoo, user) => {
+  if (getTotpSecret(user)) return true;
+  try {
+    const [record] = await odoo.read('res.users', user.id, ['totp_enabled']);
+    return Boolean(record && record.totp_enabled);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Create the session and tokens of a user whose credentials checked out
+const openSession = async (req, res, userData, credentialType) => {
+  // Create session and/or JWT depending on TOKEN_MODE
+  const sessionToken = newSessionToken();
+  const client = describeClient(req, { credentialType });
+  const refresh = await refreshTokens.issue({ sessionToken, user: userData, client });
+  const accessTokens = await issueAccessTokens(sessionToken, userData, refresh.familyId, client);
+
+  logger.info('Successful login', { name: userData.name, user: userData.login.replace(/./g, '*') });
+  audit.record('login.success', req, { outcome: 'success', user: userData, credentialType });
+
+  res.json({
+    success: true,
+    ...accessTokens,
+    refreshToken: refresh.token,
+    user: userData,
+    credentialType,
+    expiresIn: `${Math.round(sessionPolicy.tokenTtlMs / 1000)}s`,
+    refreshExpiresIn: `${Math.round(REFRESH_TOKEN_TTL / 1000)}s`
+  });
+};
+
+// Check the credentials against Odoo and open a session for them, or start
+// the TOTP step. Shared by the password and API key logins, which differ only
+// in their input; API keys are Odoo's way around 2FA, so they skip the step.
+const signIn = async (req, res, username, secret, credentialType) => {
+  if (!req.tenant) {
+    return res.status(400).json({ 
+      error: 'Tenant required' 
+    });
+  }
+
+  logger.info('Login attempt', { credentialType, user: username.replace(/./g, '*'), tenant: req.tenant.id });
+
+  const { odoo, uid, user: userData } = await connectToOdoo(username, secret, req.tenant);
+  const account = lockoutAccount(req.tenant, username);
+
+  if (!uid) {
+    logger.info('Failed login attempt', { user: username.replace(/./g, '*') });
+    const { locked } = await accountLockout.recordFailure(account);
+    if (locked) {
+      logger.warn('Account locked after repeated failed logins', { user: username.replace(/./g, '*') });
+    }
+    audit.record('login.failure', req, {
+      outcome: 'failure',
+      user: { login: username },
+      credentialType,
+      reason: 'invalid_credentials',
+      locked
+    });
+    return res.status(401).json({ 
+      error: 'Authentication failed' 
+    });
+  }
+  await accountLockout.recordSuccess(account);
+
+  if (!userData) {
+    return res.status(500).json({ 
+      error: 'Failed to get user information' 
+    });
+  }
+
+  if (credentialType === 'password' && await requiresTotp(odoo, userData)) {
+    if (!getTotpSecret(userData)) {
+      logger.warn('TOTP enabled but no secret provisioned', { user: userData.login.replace(/./g, '*') });
+      audit.record('login.failure', req, { outcome: 'failure', user: userData, credentialType, reason: 'totp_not_provisioned' });
+      return res.status(401).json({ 
+        error: 'Authentication failed' 
+      });
+    }
+
+    const challenge = await mfa.createChallenge({
+      subject: `${userData.tenant}:${userData.id}`,
+      user: userData
+    });
+    pendingLogins.set(challenge.token, { odoo, login: username, secret, expiresAt: Date.now() + MFA_CHALLENGE_TTL });
+
+    return res.json({
+      success: false,
+      mfa_required: true,
+      method: 'totp',
+      challengeToken: challenge.token,
+      expiresIn: `${challenge.expiresIn}s`
+    });
+  }
+
+  rememberOdooLogin(userData, username, secret, odoo);
+  await openSession(req, res, userData, credentialType);
+};
+
+// `login` is what the caller tried to sign in as, when known, so the audit
+// entry carries its hash
+const loginFailed = (req, res, error, login = null) => {
+  logger.error('Login error', { error });
+  audit.record('login.failure', req, { outcome: 'error', user: login ? { login } : null, reason: 'error' });
+  
+  // Generic error message to prevent information leakage
+  res.status(401).json({ 
+    error: 'Authentication failed',
+    details: process.env.NODE_ENV === 'development' ? sanitizeError(error) : undefined
+  });
+};
+
+// Login endpoint with enhanced security. Validation runs before the account
+// guard, so lockouts count the normalized login.
+app.post('/auth/login', requireCredentialType(CREDENTIAL_TYPES, 'password'), loginLimiter, validateLogin, accountGuard('username'), async (req, res) => {
   try {
     // Check validation results
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ 
         error: 'Invalid input data',
-        details: 'Username must be a valid email and password is required'
+        details: errors.array()[0].msg
       });
     }
 
@@ -175,192 +848,657 @@ app.post('/auth/login', loginLimiter, validateLogin, async (req, res) => {
       });
     }
 
-    // Create Odoo client with timeout
-    const odoo = new Odoo({
-      baseUrl: process.env.ODOO_BASE_URL,
-      db: process.env.ODOO_DB,
-      username,
-      password,
-      port: process.env.ODOO_PORT || 8069,
-      timeout: 30000 // 30 seconds timeout
-    });
+    await signIn(req, res, username, password, 'password');
+  } catch (error) {
+    loginFailed(req, res, error, req.body && req.body.username);
+  }
+});
 
-    console.log(`[${new Date().toISOString()}] Login attempt for user: ${username.replace(/./g, '*')}`);
+// Login with an Odoo API key instead of a password. Odoo checks API keys in
+// place of the password on the same authenticate call.
+app.post('/auth/login/api-key', requireCredentialType(CREDENTIAL_TYPES, 'api_key'), loginLimiter, validateApiKeyLogin, accountGuard('login'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Invalid input data',
+        details: 'Login and API key are required'
+      });
+    }
 
-    // Connect to Odoo with timeout
-    const connectPromise = odoo.connect();
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Connection timeout')), 30000);
-    });
+    const { login, apiKey } = req.body;
+    await signIn(req, res, login, apiKey, 'api_key');
+  } catch (error) {
+    loginFailed(req, res, error, req.body && req.body.login);
+  }
+});
 
-    const uid = await Promise.race([connectPromise, timeoutPromise]);
+// Second login step: trade the challenge token and a TOTP code for a session
+app.post('/auth/login/mfa', mfaLimiter, async (req, res) => {
+  const { challengeToken, code } = req.body || {};
+  try {
+    const data = await mfa.verifyChallenge(challengeToken, code, challenge => getTotpSecret(challenge.user));
+    const pending = pendingLogins.get(challengeToken);
+    pendingLogins.delete(challengeToken);
 
-    if (!uid) {
-      console.log(`[${new Date().toISOString()}] Failed login attempt for user: ${username.replace(/./g, '*')}`);
-      return res.status(401).json({ 
-        error: 'Authentication failed' 
-      });
+    if (req.tenantExplicit && data.user.tenant !== req.tenant.id) {
+      audit.record('login.failure', req, { outcome: 'failure', user: data.user, reason: 'tenant_mismatch' });
+      return res.status(401).json({ error: 'Authentication failed' });
     }
 
-    // Get user information
-    const userRecord = await odoo.read('res.users', uid, ['name', 'email', 'login']);
+    if (pending) {
+      rememberOdooLogin(data.user, pending.login, pending.secret, pending.odoo);
+    }
+    await openSession(req, res, data.user, 'password');
+  } catch (error) {
+    if (error.name !== 'MfaError') {
+      return loginFailed(req, res, error);
+    }
+
+    logger.info('Failed second factor', { code: error.code });
+    audit.record('login.failure', req, { outcome: 'failure', credentialType: 'password', reason: error.code });
+    if (error.code === 'invalid_request') {
+      return res.status(400).json({ error: 'Challenge token and code are required' });
+    }
+    res.status(401).json({
+      error: error.code === 'invalid_challenge' ? 'Invalid or expired challenge' : 'Invalid code'
+    });
+  }
+});
+
+// Lift the lockout of an account in the administrator's own tenant
+const lockoutAdminGroups = (process.env.LOCKOUT_ADMIN_GROUPS || 'base.group_system')
+  .split(',').map(group => group.trim()).filter(Boolean);
 
-    if (!userRecord || userRecord.length === 0) {
-      return res.status(500).json({ 
-        error: 'Failed to get user information' 
+app.post('/auth/lockout/unlock', authenticateToken, requireUserToken, requireGroup(...lockoutAdminGroups), async (req, res) => {
+  try {
+    const account = lockoutAccount(req.tenant, req.body && req.body.username);
+    if (!account) {
+      return res.status(400).json({ 
+        error: 'Username is required' 
       });
     }
 
-    const userData = {
-      id: uid,
-      name: userRecord[0].name,
-      email: userRecord[0].email,
-      login: userRecord[0].login
-    };
+    const unlocked = await accountLockout.unlock(account);
+    logger.info(unlocked ? 'Account unlocked' : 'Account was not locked', { user: req.body.username.replace(/./g, '*') });
 
-    // Create JWT token
-    const jwtToken = jwt.sign(
-      { 
-        userId: uid, 
-        email: userData.email,
-        iat: Math.floor(Date.now() / 1000),
-        exp: Math.floor(Date.now() / 1000) + (60 * 60) // 1 hour
-      }, 
-      JWT_SECRET
-    );
+    res.json({ success: true, unlocked });
+  } catch (error) {
+    logger.error('Unlock error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Create simple session token for backward compatibility
-    const sessionToken = Date.now().toString(36) + Math.random().toString(36).substr(2);
-    
-    // Store session
-    sessions.set(sessionToken, {
-      user: userData,
-      odooClient: odoo,
-      createdAt: new Date(),
-      lastAccess: new Date()
+// Refresh endpoint: trade a single-use refresh token for a new access token
+app.post('/auth/refresh', refreshLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    let previousSessionToken = null;
+
+    const rotated = await refreshTokens.rotate(refreshToken, (data) => {
+      previousSessionToken = data.sessionToken;
+      return { ...data, sessionToken: newSessionToken(), client: describeClient(req, data.client) };
     });
 
-    console.log(`[${new Date().toISOString()}] Successful login for user: ${userData.name} (${userData.login.replace(/./g, '*')})`);
+    // OpenID Connect clients refresh at /token, with their scopes; one of
+    // their tokens presented here has leaked
+    if (rotated.data.clientId) {
+      await refreshTokens.revokeFamily(rotated.familyId);
+      audit.record('token.revoked', req, { outcome: 'success', user: rotated.data.user, reason: 'wrong_client' });
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    // Refresh tokens only work for the tenant they were issued for
+    if (req.tenantExplicit && rotated.data.user.tenant !== req.tenant.id) {
+      await refreshTokens.revokeFamily(rotated.familyId);
+      audit.record('token.revoked', req, { outcome: 'success', user: rotated.data.user, reason: 'tenant_mismatch' });
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    // Refreshing does not extend the absolute lifetime of the sign-in
+    if (rotated.data.client && sessionPolicy.lifetimeEnded(rotated.data.client)) {
+      await refreshTokens.revokeFamily(rotated.familyId);
+      if (previousSessionToken) {
+        await destroySession(previousSessionToken);
+      }
+      audit.record('token.expired', req, { outcome: 'success', user: rotated.data.user, reason: 'max_lifetime' });
+      return res.status(401).json({ error: 'Session expired, log in again' });
+    }
+
+    const accessTokens = await issueAccessTokens(
+      rotated.data.sessionToken,
+      rotated.data.user,
+      rotated.familyId,
+      rotated.data.client
+    );
+    if (previousSessionToken) {
+      await destroySession(previousSessionToken);
+    }
 
     res.json({
       success: true,
-      token: sessionToken, // Use session token for simplicity
-      user: userData,
-      expiresIn: '1h'
+      ...accessTokens,
+      refreshToken: rotated.token,
+      user: rotated.data.user,
+      expiresIn: `${Math.round(sessionPolicy.tokenTtlMs / 1000)}s`,
+      refreshExpiresIn: `${Math.round(REFRESH_TOKEN_TTL / 1000)}s`
     });
-
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Login error:`, sanitizeError(error));
-    
-    // Generic error message to prevent information leakage
-    res.status(401).json({ 
-      error: 'Authentication failed',
-      details: process.env.NODE_ENV === 'development' ? sanitizeError(error) : undefined
+    if (error.name !== 'RefreshTokenError') {
+      logger.error('Refresh error', { error });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    if (error.code === 'token_reuse') {
+      // The family is revoked; also end the session its newest token opened
+      if (error.latest && error.latest.sessionToken) {
+        await destroySession(error.latest.sessionToken);
+      }
+      logger.warn('Refresh token reuse detected, token family revoked');
+      audit.record('token.revoked', req, {
+        outcome: 'success',
+        user: error.latest ? error.latest.user : null,
+        reason: 'refresh_token_reuse'
+      });
+    }
+
+    res.status(error.code === 'invalid_request' ? 400 : 401).json({
+      error: error.code === 'invalid_request' ? 'Refresh token required' : 'Invalid refresh token'
     });
   }
 });
 
 // Logout endpoint
-app.post('/auth/logout', (req, res) => {
+app.post('/auth/logout', async (req, res) => {
   try {
-    const { token } = req.body;
-    const authHeader = req.headers['authorization'];
-    const headerToken = authHeader && authHeader.split(' ')[1];
+    const { token } = req.body || {};
+    const headerToken = getBearerToken(req);
     
-    // Remove session token
-    if (token && sessions.has(token)) {
-      sessions.delete(token);
-      console.log(`[${new Date().toISOString()}] User logged out via body token`);
+    // Revoke body token
+    const bodyUser = token ? await revokeAccessToken(token) : null;
+    if (bodyUser) {
+      logger.info('User logged out via body token');
+      audit.record('logout', req, { outcome: 'success', user: bodyUser });
     }
     
-    // Remove header token
-    if (headerToken && sessions.has(headerToken)) {
-      sessions.delete(headerToken);
-      console.log(`[${new Date().toISOString()}] User logged out via header token`);
+    // Revoke header token
+    const headerUser = headerToken && headerToken !== token ? await revokeAccessToken(headerToken) : null;
+    if (headerUser) {
+      logger.info('User logged out via header token');
+      audit.record('logout', req, { outcome: 'success', user: headerUser });
     }
     
     res.json({ success: true });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Logout error:`, sanitizeError(error));
+    logger.error('Logout error', { error });
     res.json({ success: true }); // Always return success for logout
   }
 });
 
-// Get user info endpoint
-app.get('/auth/user', authenticateToken, (req, res) => {
+// Odoo user IDs repeat across tenants, so users are matched on both
+const sameUser = (a, b) => Boolean(a && b && a.id === b.id && a.tenant === b.tenant);
+
+// The live [token, session] pairs of a user; tokens of sessions that ended
+// are dropped from the index on the way
+const sessionsOf = async (user) => {
+  const key = poolKey(user);
+  const live = [];
+  for (const token of await sessionIndex.members(key)) {
+    const session = await sessions.get(token);
+    if (session && sameUser(session.user, user) && !sessionPolicy.isExpired(session)) {
+      live.push([token, session]);
+    } else {
+      await sessionIndex.removeMember(key, token);
+    }
+  }
+  return live;
+};
+
+// Whether a session belongs to the request's own access token
+const isCurrentSession = (req, token, session) => (
+  token === req.sessionToken ||
+  Boolean(req.tokenClaims && req.tokenClaims.sid && req.tokenClaims.sid === session.refreshFamily)
+);
+
+// List the caller's active sessions
+app.get('/auth/sessions', authenticateToken, requireUserToken, async (req, res) => {
   try {
-    const session = sessions.get(req.headers.authorization?.replace('Bearer ', ''));
-    if (session) {
-      session.lastAccess = new Date();
+    const active = await sessionsOf(req.user);
+
+    res.json({
+      sessions: active
+        .map(([token, session]) => ({
+          id: session.id,
+          createdAt: new Date(session.signedInAt || session.createdAt).toISOString(),
+          lastAccess: new Date(session.lastAccess).toISOString(),
+          credentialType: session.credentialType || 'password',
+          ip: session.ip || null,
+          userAgent: session.userAgent || null,
+          current: isCurrentSession(req, token, session)
+        }))
+        .sort((a, b) => b.lastAccess.localeCompare(a.lastAccess))
+    });
+  } catch (error) {
+    logger.error('Session list error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// End one of the caller's sessions, e.g. on a lost device
+app.delete('/auth/sessions/:id', authenticateToken, requireUserToken, async (req, res) => {
+  try {
+    const match = (await sessionsOf(req.user)).find(([, session]) => session.id === req.params.id);
+    if (!match) {
+      return res.status(404).json({ error: 'Session not found' });
     }
-    
+
+    await endSession(...match);
+    logger.info('Session ended by its user');
+    audit.record('token.revoked', req, { outcome: 'success', user: req.user, reason: 'session_ended', sessionsEnded: 1 });
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Session delete error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// End every session and refresh family of the caller except the ones
+// belonging to the request's own token. Returns the number of sessions ended.
+const endOtherSessions = async (req) => {
+  const currentFamily = req.session ? req.session.refreshFamily : req.tokenClaims.sid;
+  let sessionCount = 0;
+
+  for (const [token, session] of await sessionsOf(req.user)) {
+    if (!isCurrentSession(req, token, session)) {
+      await endSession(token, session);
+      sessionCount++;
+    }
+  }
+
+  await refreshTokens.revokeFamilies((data, familyId) => (
+    Boolean(data && sameUser(data.user, req.user)) && familyId !== currentFamily
+  ), poolKey(req.user));
+
+  return sessionCount;
+};
+
+// End every session of the caller except the one making the request
+app.delete('/auth/sessions', authenticateToken, requireUserToken, async (req, res) => {
+  try {
+    const sessionCount = await endOtherSessions(req);
+
+    logger.info('User ended other sessions', { sessionCount });
+    audit.record('token.revoked', req, { outcome: 'success', user: req.user, reason: 'other_sessions_ended', sessionsEnded: sessionCount });
+
+    res.json({ success: true, sessionsEnded: sessionCount });
+  } catch (error) {
+    logger.error('Session delete error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out everywhere: end every session and revoke every token of the caller
+app.post('/auth/logout-all', authenticateToken, requireUserToken, async (req, res) => {
+  try {
+    const { id: userId, tenant: tenantId } = req.user;
+    let sessionCount = 0;
+
+    await revocations.revokeUser(userId, tenantId);
+    await refreshTokens.revokeFamilies(data => Boolean(data && sameUser(data.user, req.user)), poolKey(req.user));
+
+    for (const [token] of await sessionsOf(req.user)) {
+      await destroySession(token);
+      sessionCount++;
+    }
+    odooPool.forget(poolKey(req.user));
+
+    logger.info('User logged out everywhere', { sessionCount });
+    audit.record('logout', req, { outcome: 'success', user: req.user, scope: 'all', sessionsEnded: sessionCount });
+
+    res.json({ success: true, sessionsEnded: sessionCount });
+  } catch (error) {
+    logger.error('Logout-all error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get user info endpoint
+app.get('/auth/user', authenticateToken, async (req, res) => {
+  try {
     res.json({ user: req.user });
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] User info error:`, sanitizeError(error));
+    logger.error('User info error', { error });
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Test Odoo connection endpoint
-app.post('/odoo/test', authenticateToken, async (req, res) => {
+// Change the caller's Odoo password. Odoo checks the current password itself;
+// every other session of the user ends afterwards.
+app.post('/auth/password/change', loginLimiter, authenticateToken, requireUserToken, validatePasswordChange, async (req, res) => {
   try {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    
-    if (!token || !sessions.has(token)) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Invalid input data',
+        details: 'Current and new password are required'
+      });
     }
-    
-    const session = sessions.get(token);
-    const odoo = session.odooClient;
-    
-    if (!odoo) {
-      return res.status(500).json({ error: 'Odoo client not available' });
+
+    const { currentPassword, newPassword } = req.body;
+    const login = req.user.login;
+
+    logger.info('Password change', { user: login.replace(/./g, '*') });
+
+    const { odoo, uid } = await connectOdooClient(login, currentPassword, req.tenant);
+    if (!uid) {
+      logger.info('Failed password change', { user: login.replace(/./g, '*') });
+      return res.status(401).json({ 
+        error: 'Current password is incorrect' 
+      });
+    }
+
+    try {
+      await odoo.execute_kw('res.users', 'change_password', [[currentPassword, newPassword]]);
+    } catch (error) {
+      // Usually Odoo's password policy; Odoo's faults carry its traceback
+      logger.warn('Password change rejected', { error });
+      return res.status(400).json({ 
+        error: 'Password change rejected',
+        details: process.env.NODE_ENV === 'development' ? sanitizeError(error) : undefined
+      });
+    }
+
+    // The pooled client still holds the old password
+    rememberOdooLogin(req.user, login, newPassword);
+
+    const currentFamily = req.session ? req.session.refreshFamily : req.tokenClaims.sid;
+    const sessionCount = await endOtherSessions(req);
+    await revocations.revokeUser(req.user.id, req.user.tenant, { exceptFamily: currentFamily });
+
+    logger.info('Password changed', { user: login.replace(/./g, '*'), sessionCount });
+    audit.record('token.revoked', req, { outcome: 'success', user: req.user, reason: 'password_changed', sessionsEnded: sessionCount });
+
+    res.json({ success: true, sessionsEnded: sessionCount });
+  } catch (error) {
+    logger.error('Password change error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start Odoo's reset password email. Runs as the tenant's service account and
+// answers the same whether or not the account exists.
+app.post('/auth/password/reset-request', loginLimiter, validateResetRequest, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Invalid input data',
+        details: errors.array()[0].msg
+      });
+    }
+
+    if (!req.tenant) {
+      return res.status(400).json({ 
+        error: 'Tenant required' 
+      });
+    }
+
+    const account = req.tenant.serviceAccount;
+    if (!account) {
+      return res.status(503).json({ 
+        error: 'Password reset is not available' 
+      });
     }
 
-    // Test queries with timeout
-    const queries = [
-      odoo.search('res.partner', []),
-      odoo.search('product.template', []),
-      odoo.search('res.users', [])
-    ];
+    const { username } = req.body;
+    logger.info('Password reset requested', { user: username.replace(/./g, '*') });
+
+    try {
+      const { odoo, uid } = await connectOdooClient(account.login, account.password, req.tenant);
+      if (!uid) {
+        throw new Error('Service account login failed');
+      }
+      await odoo.execute_kw('res.users', 'reset_password', [[username]]);
+    } catch (error) {
+      logger.error('Password reset error', { user: username.replace(/./g, '*'), error });
+    }
 
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Query timeout')), 10000);
+    res.json({ 
+      success: true,
+      message: 'If the account exists, a password reset email has been sent'
     });
+  } catch (error) {
+    logger.error('Password reset error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Switch the active company. Session callers keep their token; JWT callers
+// get a new token, since the company is one of its claims.
+app.post('/auth/company', authenticateToken, requireUserToken, async (req, res) => {
+  try {
+    const user = switchCompany(req.user, req.body && req.body.companyId);
+    const familyId = req.session ? req.session.refreshFamily : req.tokenClaims.sid;
+    const oldJwtId = req.session ? req.session.jwtId : req.tokenClaims.jti;
+
+    // Refreshed tokens keep the choice. JWT callers have no session, so the
+    // refresh family describes their sign-in.
+    const latest = await refreshTokens.updateFamily(familyId, data => ({ ...data, user }));
+    const client = req.session || (latest && latest.client);
+    if (TOKEN_MODE !== 'session' && !client) {
+      return res.status(401).json({ error: 'Session expired, log in again' });
+    }
+    const signed = TOKEN_MODE === 'session' ? null : signAccessToken(user, familyId, client);
+
+    if (req.session) {
+      req.session.user = user;
+      req.session.jwtId = signed ? signed.claims.jti : req.session.jwtId;
+      await sessions.set(req.sessionToken, req.session, sessionTtl(req.session));
+    }
+    if (signed) {
+      await revocations.revokeToken(oldJwtId, req.tokenClaims && req.tokenClaims.exp);
+    }
+
+    logger.info('User switched company', { companyId: user.company_id });
 
-    const [partnerIds, productIds, userIds] = await Promise.race([
-      Promise.all(queries),
-      timeoutPromise
-    ]);
-    
-    const samplePartners = await odoo.searchRead(
-      'res.partner', 
-      [['is_company', '=', true]], 
-      ['name', 'email', 'phone'],
-      { limit: 5 }
-    );
-    
-    // Update last access
-    session.lastAccess = new Date();
-    
     res.json({
       success: true,
-      stats: {
-        partnerCount: partnerIds.length,
-        productCount: productIds.length,
-        userCount: userIds.length,
-        samplePartners: samplePartners.map(partner => ({
-          id: partner.id,
-          name: partner.name,
-          email: partner.email || null,
-          phone: partner.phone || null
-        }))
-      },
+      user,
+      ...(signed && (TOKEN_MODE === 'jwt' ? { token: signed.token, tokenType: 'jwt' } : { jwt: signed.token }))
+    });
+  } catch (error) {
+    if (error.name === 'CompanyError') {
+      return res.status(403).json({ error: error.message });
+    }
+    logger.error('Company switch error', { error });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Machine-to-machine callers using the client_credentials grant
+const serviceClients = createServiceClientRegistry(loadJsonConfig(process.env.SERVICE_CLIENTS, []));
+
+// Client credentials grant (RFC 6749 section 4.4): a service client trades its
+// ID and secret for a scoped access token that acts as its Odoo technical user
+app.post('/oauth/token', tokenLimiter, async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  const { grant_type: grantType, scope } = req.body || {};
+  if (grantType !== 'client_credentials') {
+    return res.status(400).json({ error: 'unsupported_grant_type' });
+  }
+
+  let client;
+  try {
+    client = await serviceClients.authenticate(req);
+  } catch (error) {
+    audit.record('login.failure', req, { outcome: 'failure', credentialType: 'client_credentials', reason: 'invalid_client' });
+    res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  try {
+    let scopes;
+    try {
+      scopes = serviceClients.grantScopes(client, scope);
+    } catch (error) {
+      return res.status(400).json({ error: 'invalid_scope' });
+    }
+
+    // A client belongs to one tenant, or to whichever the request names
+    const tenant = client.tenant ? tenants.get(client.tenant) : req.tenant;
+    if (!tenant || (req.tenantExplicit && tenant.id !== req.tenant.id)) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'Tenant required' });
+    }
+
+    const { odoo, uid, user } = await connectToOdoo(client.odoo.login, client.odoo.password, tenant);
+    if (!uid || !user) {
+      logger.error('Odoo login failed for service client', { clientId: client.client_id });
+      return res.status(500).json({ error: 'server_error' });
+    }
+
+    const grant = {
+      ...describeClient(req, { credentialType: 'client_credentials' }),
+      clientId: client.client_id,
+      scope: scopes.join(' ')
+    };
+    rememberOdooLogin(user, client.odoo.login, client.odoo.password, odoo);
+    const accessTokens = await issueAccessTokens(newSessionToken(), user, null, grant);
+
+    logger.info('Token issued to service client', { clientId: client.client_id });
+    audit.record('login.success', req, {
+      outcome: 'success',
+      user,
+      credentialType: 'client_credentials',
+      clientId: client.client_id
+    });
+
+    res.json({
+      access_token: accessTokens.token,
+      token_type: 'Bearer',
+      expires_in: Math.round(sessionPolicy.tokenTtlMs / 1000),
+      scope: grant.scope
+    });
+  } catch (error) {
+    logger.error('Token error for service client', { clientId: client.client_id, error });
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Resource servers allowed to call /oauth/introspect
+const introspectionClients = createClientRegistry(loadJsonConfig(process.env.INTROSPECTION_CLIENTS, []));
+
+// Token introspection (RFC 7662): lets resource servers check opaque session
+// tokens and JWTs with the same rules as authenticateToken
+app.post('/oauth/introspect', introspectionLimiter, async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  let client;
+  try {
+    client = introspectionClients.authenticate(req);
+  } catch (error) {
+    res.set('WWW-Authenticate', 'Basic realm="introspection"');
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  try {
+    const { token } = req.body || {};
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const result = await resolveAccessToken(token, req.tenantExplicit ? req.tenant : null);
+    if (result.error) {
+      return res.json({ active: false });
+    }
+
+    const { user, session } = result;
+    const tenant = tenants.get(user.tenant);
+    const claims = result.claims || {
+      sub: String(user.id),
+      iat: Math.floor(session.createdAt / 1000),
+      exp: Math.floor(sessionPolicy.expiresAt(session) / 1000),
+      scope: session.scope,
+      client_id: session.clientId,
+      odoo_db: tenant ? tenant.db : undefined
+    };
+
+    res.json({
+      active: true,
+      token_type: 'Bearer',
+      scope: claims.scope,
+      client_id: claims.client_id,
+      username: user.login,
+      sub: claims.sub,
+      iss: claims.iss,
+      aud: claims.aud,
+      jti: claims.jti,
+      iat: claims.iat,
+      nbf: claims.nbf,
+      exp: claims.exp,
+      credential_type: claims.credential_type || (session && session.credentialType),
+      tenant: user.tenant,
+      odoo_db: claims.odoo_db,
+      odoo_uid: user.id,
+      name: user.name,
+      email: user.email,
+      login: user.login,
+      groups: user.groups || [],
+      company_id: user.company_id,
+      company_ids: user.company_ids
+    });
+  } catch (error) {
+    logger.error('Introspection error', { clientId: client.client_id, error });
+    res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Diagnostics run by /odoo/test, from ODOO_DIAGNOSTICS or the defaults
+const diagnostics = createDiagnostics(loadJsonConfig(process.env.ODOO_DIAGNOSTICS, DEFAULT_CHECKS), {
+  timeoutMs: (Number(process.env.ODOO_DIAGNOSTICS_TIMEOUT) || 10) * 1000,
+  describeError: sanitizeError
+});
+
+// The admin report (version, modules, access rights) is for Odoo administrators
+// only, never for scoped tokens; the checks themselves read Odoo data
+const diagnosticsAdminGroups = (process.env.ODOO_DIAGNOSTICS_ADMIN_GROUPS || 'base.group_system')
+  .split(',').map(group => group.trim()).filter(Boolean);
+const isAdminDiagnostics = req => req.query.mode === 'admin' || Boolean(req.body && req.body.mode === 'admin');
+const requireDiagnosticsAdmin = (req, res, next) => (
+  isAdminDiagnostics(req)
+    ? requireUserToken(req, res, () => requireGroup(...diagnosticsAdminGroups)(req, res, next))
+    : requireScope(READ_SCOPE)(req, res, next)
+);
+
+// Test Odoo connection endpoint
+app.post('/odoo/test', authenticateToken, requireDiagnosticsAdmin, async (req, res) => {
+  try {
+    const odoo = await getOdooClient(req);
+    
+    if (!odoo) {
+      return res.status(401).json({ error: 'Odoo session not available, log in again' });
+    }
+
+    const admin = isAdminDiagnostics(req);
+    const [result, stats, report] = await Promise.all([
+      diagnostics.run(odoo),
+      diagnostics.stats(odoo),
+      admin ? diagnostics.report(odoo, () => createCommonRpc(req.tenant)('version')) : null
+    ]);
+
+    // Failed checks are reported in the body; clients predating them expect 200
+    res.json({
+      success: result.status !== 'fail',
+      status: result.status,
+      checks: result.checks,
+      stats,
+      ...(report && { admin: report }),
       timestamp: new Date().toISOString()
     });
     
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Odoo test error:`, sanitizeError(error));
+    logger.error('Odoo test error', { error });
     res.status(500).json({ 
       error: 'Failed to test Odoo connection',
       details: process.env.NODE_ENV === 'development' ? sanitizeError(error) : undefined
@@ -368,9 +1506,85 @@ app.post('/odoo/test', authenticateToken, async (req, res) => {
   }
 });
 
+// Generic Odoo model routes, limited to the ODOO_PROXY_MODELS allowlist
+app.use(createOdooProxyRouter({
+  allowlist: createOdooAllowlist(loadJsonConfig(process.env.ODOO_PROXY_MODELS, {}), {
+    maxLimit: Number(process.env.ODOO_PROXY_MAX_LIMIT) || 200,
+    defaultLimit: Number(process.env.ODOO_PROXY_DEFAULT_LIMIT) || 80
+  }),
+  authenticateToken,
+  getOdooClient,
+  sanitizeError,
+  logger
+}));
+
+// OpenID Connect provider, enabled when clients are registered in OIDC_CLIENTS
+const oidcClients = loadJsonConfig(process.env.OIDC_CLIENTS, []);
+if (oidcClients.length > 0) {
+  app.use(createOidcRouter({
+    issuer: process.env.JWT_ISSUER,
+    clients: oidcClients,
+    store: openStore('oidc'),
+    tokenService,
+    signingKeys,
+    refreshTokens,
+    accessTokenTtl: sessionPolicy.tokenTtlMs / 1000,
+    authenticateUser: async (username, password, req) => {
+      if (!req.tenant || !CREDENTIAL_TYPES.includes('password')) return null;
+      const account = lockoutAccount(req.tenant, username);
+      try {
+        const { odoo, uid, user } = await connectToOdoo(username, password, req.tenant);
+        if (!uid) {
+          const { locked } = await accountLockout.recordFailure(account);
+          if (locked) {
+            logger.warn('Account locked after repeated failed logins', { user: username.replace(/./g, '*') });
+          }
+          audit.record('login.failure', req, {
+            outcome: 'failure',
+            user: { login: username },
+            credentialType: 'password',
+            reason: 'invalid_credentials',
+            locked,
+            via: 'oidc'
+          });
+          return null;
+        }
+        await accountLockout.recordSuccess(account);
+        if (!user) return null;
+        // The sign-in page has no TOTP step, so those users cannot use it
+        if (await requiresTotp(odoo, user)) {
+          logger.info('OIDC sign-in refused: second factor required');
+          audit.record('login.failure', req, { outcome: 'failure', user, credentialType: 'password', reason: 'second_factor_required', via: 'oidc' });
+          return null;
+        }
+        rememberOdooLogin(user, username, password, odoo);
+        audit.record('login.success', req, { outcome: 'success', user, credentialType: 'password', via: 'oidc' });
+        return { user, odoo };
+      } catch (error) {
+        logger.error('OIDC sign-in error', { error });
+        return null;
+      }
+    },
+    createSsoSession: async (user, odoo, req) => {
+      const sessionToken = generateSessionToken();
+      await storeSession(sessionToken, user, null, undefined, describeClient(req));
+      return sessionToken;
+    },
+    getSsoSession: async (sessionToken) => {
+      const session = await sessions.get(sessionToken);
+      return session && !sessionPolicy.isExpired(session) ? session : null;
+    },
+    authenticateToken,
+    loginLimiter,
+    accountGuard: accountGuard('username'),
+    logger,
+    secureCookies: process.env.NODE_ENV === 'production'
+  }));
+}
+
 // Error handling middleware
 app.use((error, req, res, next) => {
-  console.error(`[${new Date().toISOString()}] Unhandled error:`, sanitizeError(error));
+  logger.error('Unhandled error', { error });
   
   res.status(500).json({
     error: 'Internal server error',
@@ -390,40 +1604,86 @@ app.use((req, res) => {
 });
 
 // Clean up expired sessions every 30 minutes
-setInterval(() => {
-  const now = new Date();
-  const oneHour = 60 * 60 * 1000;
-  let cleanedCount = 0;
-  
-  for (const [token, session] of sessions.entries()) {
-    if (now - session.lastAccess > oneHour) {
-      sessions.delete(token);
-      cleanedCount++;
+setInterval(async () => {
+  try {
+    const now = Date.now();
+    let cleanedCount = 0;
+    
+    for (const [token, session] of await sessions.entries()) {
+      if (sessionPolicy.isExpired(session, now)) {
+        await destroySession(token);
+        audit.record('token.expired', null, { outcome: 'expired', user: session.user });
+        cleanedCount++;
+      }
     }
-  }
-  
-  if (cleanedCount > 0) {
-    console.log(`[${new Date().toISOString()}] Cleaned ${cleanedCount} expired sessions`);
+
+    // Memory and file stores only drop expired counters when listing them;
+    // Redis expires them itself
+    if ((process.env.SESSION_STORE || 'memory') !== 'redis') {
+      await Promise.all(rateLimitStores.map(store => store.entries()));
+    }
+
+    // Drop the Odoo logins of TOTP steps that were never completed
+    for (const [token, pending] of pendingLogins) {
+      if (pending.expiresAt <= now) {
+        pendingLogins.delete(token);
+      }
+    }
+    
+    if (cleanedCount > 0) {
+      logger.info('Cleaned expired sessions', { count: cleanedCount });
+    }
+  } catch (error) {
+    logger.error('Session cleanup error', { error });
   }
 }, 30 * 60 * 1000);
 
+// Close Odoo clients nobody used for ODOO_POOL_IDLE_TIMEOUT
+setInterval(() => {
+  const dropped = odooPool.evictIdle();
+  if (dropped > 0) {
+    logger.debug('Closed idle Odoo clients', { count: dropped });
+  }
+}, 60 * 1000);
+
+// Rotate generated signing keys and drop expired retired keys every hour
+if (signingKeys.maintain) {
+  setInterval(() => {
+    try {
+      signingKeys.maintain();
+    } catch (error) {
+      logger.error('Signing key maintenance error', { error });
+    }
+  }, 60 * 60 * 1000);
+}
+
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log(`[${new Date().toISOString()}] SIGTERM received, shutting down gracefully`);
-  process.exit(0);
-});
+const shutdown = (signal) => {
+  logger.info('Shutting down gracefully', { signal });
+  Promise.all([...openStores.map(store => store.close()), audit.close()])
+    .catch(() => {})
+    .finally(() => process.exit(0));
+};
 
-process.on('SIGINT', () => {
-  console.log(`[${new Date().toISOString()}] SIGINT received, shutting down gracefully`);
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Guards for apps that mount this service: authenticateToken sets req.user,
+// then requireGroup('base.group_system', ...) checks its Odoo groups
+app.locals.authenticateToken = authenticateToken;
+app.locals.requireGroup = requireGroup;
+// Mounting apps can route audit events elsewhere with audit.addSink({ write(entry) {} })
+app.locals.audit = audit;
+app.locals.logger = logger;
 
 // Start server
 if (require.main === module) {
   app.listen(PORT, () => {
-    console.log(`[${new Date().toISOString()}] Odoo Auth Service running on port ${PORT}`);
-    console.log(`[${new Date().toISOString()}] Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`[${new Date().toISOString()}] Security features enabled: Rate limiting, Helmet, Input validation`);
+    logger.info('Odoo Auth Service running', {
+      port: PORT,
+      environment: process.env.NODE_ENV || 'development',
+      securityFeatures: ['Rate limiting', 'Helmet', 'Input validation']
+    });
   });
 }
 
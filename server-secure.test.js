@@ -0,0 +1,590 @@
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { generateTotp } = require('./lib/totp');
+
+// Every Odoo client is this fake; no test reaches a real Odoo
+const mockOdoo = {};
+jest.mock('@renanteixeira/odoo-await', () => jest.fn(options => Object.assign(mockOdoo, { password: options.password })), { virtual: true });
+
+const REFUSED = 'Error connecting to database. This is probably due to invalid credentials.';
+
+// Odoo accepting jane@example.com / secret as user 7
+const signedInOdoo = () => Object.assign(mockOdoo, {
+  connect: jest.fn(async () => {
+    if (mockOdoo.password !== 'secret') throw REFUSED;
+    return 7;
+  }),
+  read: jest.fn(async () => [{
+    id: 7,
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    login: 'jane@example.com',
+    groups_id: [],
+    company_id: [1, 'Acme'],
+    company_ids: [1],
+    totp_enabled: false
+  }]),
+  searchRead: jest.fn(async () => []),
+  execute_kw: jest.fn(async () => [])
+});
+
+describe('Secure server', () => {
+  const originalEnv = process.env;
+  let dataDir;
+
+  // Load server-secure.js afresh with only the given variables set
+  const loadApp = (env) => {
+    process.env = {
+      NODE_ENV: 'test',
+      SESSION_STORE_DIR: dataDir,
+      AUDIT_SINKS: '',
+      LOG_LEVEL: 'error',
+      ...env
+    };
+    let app;
+    jest.isolateModules(() => {
+      app = require('./server-secure');
+    });
+    return app;
+  };
+
+  beforeEach(() => {
+    Object.keys(mockOdoo).forEach((name) => delete mockOdoo[name]);
+    mockOdoo.connect = jest.fn(async () => { throw REFUSED; });
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask', 'Date'] });
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odoo-auth-'));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    jest.useRealTimers();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('starts with nothing but the Odoo connection configured', async () => {
+    const app = loadApp({ ODOO_BASE_URL: 'http://odoo.local', ODOO_DB: 'prod' });
+
+    await request(app).get('/health/live').expect(200);
+    await request(app).get('/health').expect(200);
+  });
+
+  test('reports a missing Odoo URL as not ready instead of failing to start', async () => {
+    const app = loadApp({ ODOO_DB: 'prod' });
+
+    await request(app).get('/health/live').expect(200);
+    const response = await request(app).get('/health/ready').expect(503);
+    expect(response.body.checks.odoo).toMatchObject({ status: 'fail' });
+  });
+
+  describe('login', () => {
+    const minimalEnv = { ODOO_BASE_URL: 'http://odoo.local', ODOO_DB: 'prod' };
+
+    test('counts refused credentials against the account', async () => {
+      const app = loadApp(minimalEnv);
+      const credentials = { username: 'jane@example.com', password: 'wrong' };
+
+      const refused = await request(app).post('/auth/login').send(credentials).expect(401);
+      expect(refused.body.error).toBe('Authentication failed');
+
+      const delayed = await request(app).post('/auth/login').send(credentials).expect(429);
+      expect(delayed.headers['retry-after']).toBe('1');
+    });
+
+    test('does not count an unreachable Odoo against the account', async () => {
+      mockOdoo.connect = jest.fn(async () => {
+        throw Object.assign(new Error('connect ECONNREFUSED 10.0.0.5:8069'), { code: 'ECONNREFUSED' });
+      });
+      const app = loadApp(minimalEnv);
+      const credentials = { username: 'jane@example.com', password: 'secret' };
+
+      await request(app).post('/auth/login').send(credentials).expect(401);
+      await request(app).post('/auth/login').send(credentials).expect(401);
+    });
+
+    test('audits failed logins with the hashed login', async () => {
+      mockOdoo.connect = jest.fn(async () => {
+        throw Object.assign(new Error('connect ECONNREFUSED 10.0.0.5:8069'), { code: 'ECONNREFUSED' });
+      });
+      const app = loadApp({ ...minimalEnv, AUDIT_SINKS: 'console' });
+      const lines = [];
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation((line) => {
+        lines.push(line);
+        return true;
+      });
+
+      try {
+        await request(app).post('/auth/login').send({ username: 'jane@example.com', password: 'secret' }).expect(401);
+      } finally {
+        write.mockRestore();
+      }
+      const entries = lines.map(line => JSON.parse(line).audit).filter(Boolean);
+      expect(entries).toEqual([
+        expect.objectContaining({ event: 'login.failure', outcome: 'error', user: expect.stringMatching(/^[0-9a-f]{64}$/) })
+      ]);
+    });
+  });
+
+  const redirectUri = 'https://app.example.com/callback';
+  const oidcEnv = {
+    ODOO_BASE_URL: 'http://odoo.local',
+    ODOO_DB: 'prod',
+    JWT_ISSUER: 'https://auth.example.com',
+    OIDC_CLIENTS: JSON.stringify([{ client_id: 'portal', redirect_uris: [redirectUri] }])
+  };
+
+  // Run the authorization code flow for the portal client as Jane
+  const signInWithOidc = async (app, scope) => {
+    const verifier = crypto.randomBytes(32).toString('base64url');
+    const authorized = await request(app).post('/authorize').type('form').send({
+      response_type: 'code',
+      client_id: 'portal',
+      redirect_uri: redirectUri,
+      scope,
+      code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+      code_challenge_method: 'S256',
+      username: 'jane@example.com',
+      password: 'secret'
+    }).expect(302);
+    return request(app).post('/token').type('form').send({
+      grant_type: 'authorization_code',
+      client_id: 'portal',
+      code: new URL(authorized.headers.location).searchParams.get('code'),
+      redirect_uri: redirectUri,
+      code_verifier: verifier
+    }).expect(200);
+  };
+
+  describe('api key login', () => {
+    const env = { ODOO_BASE_URL: 'http://odoo.local', ODOO_DB: 'prod' };
+
+    test('opens a session with an Odoo API key', async () => {
+      signedInOdoo();
+      const app = loadApp(env);
+
+      const login = await request(app)
+        .post('/auth/login/api-key')
+        .send({ login: 'jane@example.com', apiKey: 'secret' })
+        .expect(200);
+      expect(login.body).toMatchObject({ success: true, credentialType: 'api_key', user: { id: 7 } });
+      const listed = await request(app).get('/auth/sessions').set('Authorization', `Bearer ${login.body.token}`).expect(200);
+      expect(listed.body.sessions).toEqual([expect.objectContaining({ credentialType: 'api_key' })]);
+
+      await request(app).post('/auth/login/api-key').send({ login: 'jane@example.com', apiKey: 'wrong' }).expect(401);
+      await request(app).post('/auth/login/api-key').send({ login: 'ops@example.com' }).expect(400);
+    });
+
+    test('applies the login policy to the login', async () => {
+      signedInOdoo();
+      const app = loadApp({ ...env, LOGIN_IDENTIFIER: 'email' });
+
+      await request(app).post('/auth/login/api-key').send({ login: 'integration-bot', apiKey: 'secret' }).expect(400);
+      await request(app).post('/auth/login/api-key').send({ login: ' jane@example.com ', apiKey: 'secret' }).expect(200);
+    });
+
+    test('answers 403 for credential types that are switched off', async () => {
+      signedInOdoo();
+      const keysOnly = loadApp({ ...env, LOGIN_CREDENTIAL_TYPES: 'api_key' });
+      await request(keysOnly).post('/auth/login').send({ username: 'jane@example.com', password: 'secret' }).expect(403);
+      await request(keysOnly).post('/auth/login/api-key').send({ login: 'jane@example.com', apiKey: 'secret' }).expect(200);
+
+      const passwordsOnly = loadApp({ ...env, LOGIN_CREDENTIAL_TYPES: 'password' });
+      await request(passwordsOnly).post('/auth/login/api-key').send({ login: 'jane@example.com', apiKey: 'secret' }).expect(403);
+      await request(passwordsOnly).post('/auth/login').send({ username: 'jane@example.com', password: 'secret' }).expect(200);
+    });
+  });
+
+  describe('second factor', () => {
+    const secret = 'JBSWY3DPEHPK3PXP';
+    const env = {
+      ODOO_BASE_URL: 'http://odoo.local',
+      ODOO_DB: 'prod',
+      MFA_TOTP_SECRETS: JSON.stringify({ 'jane@example.com': secret })
+    };
+
+    test('opens the session once the TOTP code checks out', async () => {
+      signedInOdoo();
+      const app = loadApp(env);
+      const login = await request(app)
+        .post('/auth/login')
+        .send({ username: 'jane@example.com', password: 'secret' })
+        .expect(200);
+      expect(login.body).toMatchObject({ success: false, mfa_required: true, method: 'totp' });
+      expect(login.body.token).toBeUndefined();
+      const { challengeToken } = login.body;
+
+      await request(app).post('/auth/login/mfa').send({ code: generateTotp(secret) }).expect(400);
+      const wrong = await request(app)
+        .post('/auth/login/mfa')
+        .send({ challengeToken, code: generateTotp(secret) === '000000' ? '111111' : '000000' })
+        .expect(401);
+      expect(wrong.body.error).toBe('Invalid code');
+
+      const passed = await request(app).post('/auth/login/mfa').send({ challengeToken, code: generateTotp(secret) }).expect(200);
+      await request(app).get('/auth/user').set('Authorization', `Bearer ${passed.body.token}`).expect(200);
+
+      const replayed = await request(app).post('/auth/login/mfa').send({ challengeToken, code: generateTotp(secret) }).expect(401);
+      expect(replayed.body.error).toBe('Invalid or expired challenge');
+    });
+
+    test('is skipped by API key logins', async () => {
+      signedInOdoo();
+      const app = loadApp(env);
+      const login = await request(app)
+        .post('/auth/login/api-key')
+        .send({ login: 'jane@example.com', apiKey: 'secret' })
+        .expect(200);
+      expect(login.body).toMatchObject({ success: true, credentialType: 'api_key' });
+    });
+  });
+
+  describe('refresh', () => {
+    test('does not trade an OpenID Connect refresh token for a first-party session', async () => {
+      signedInOdoo();
+      const app = loadApp(oidcEnv);
+      const tokens = await signInWithOidc(app, 'openid offline_access');
+
+      await request(app).post('/auth/refresh').send({ refreshToken: tokens.body.refresh_token }).expect(401);
+
+      // The leaked token's family is revoked for its client too
+      const refreshed = await request(app).post('/token').type('form').send({
+        grant_type: 'refresh_token',
+        client_id: 'portal',
+        refresh_token: tokens.body.refresh_token
+      }).expect(400);
+      expect(refreshed.body.error).toBe('invalid_grant');
+    });
+    test('does not extend the session lifetime past the first sign-in', async () => {
+      signedInOdoo();
+      const app = loadApp({ ODOO_BASE_URL: 'http://odoo.local', ODOO_DB: 'prod', SESSION_MAX_LIFETIME: '60' });
+      const signedInAt = Date.now();
+
+      const login = await request(app)
+        .post('/auth/login')
+        .send({ username: 'jane@example.com', password: 'secret' })
+        .expect(200);
+      const refreshed = await request(app).post('/auth/refresh').send({ refreshToken: login.body.refreshToken }).expect(200);
+
+      jest.spyOn(Date, 'now').mockReturnValue(signedInAt + 61000);
+      try {
+        const expired = await request(app).post('/auth/refresh').send({ refreshToken: refreshed.body.refreshToken }).expect(401);
+        expect(expired.body.error).toBe('Session expired, log in again');
+      } finally {
+        Date.now.mockRestore();
+      }
+    });
+  });
+
+  describe('sessions', () => {
+    test('answers 401 and audits a session that sat idle too long', async () => {
+      signedInOdoo();
+      const app = loadApp({ ODOO_BASE_URL: 'http://odoo.local', ODOO_DB: 'prod', SESSION_IDLE_TIMEOUT: '1', AUDIT_SINKS: 'console' });
+      const login = await request(app)
+        .post('/auth/login')
+        .send({ username: 'jane@example.com', password: 'secret' })
+        .expect(200);
+
+      const lines = [];
+      const later = Date.now() + 1500;
+      jest.spyOn(Date, 'now').mockReturnValue(later);
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation((line) => {
+        lines.push(line);
+        return true;
+      });
+      try {
+        const expired = await request(app).get('/auth/user').set('Authorization', `Bearer ${login.body.token}`).expect(401);
+        expect(expired.body.error).toBe('Token expired');
+      } finally {
+        write.mockRestore();
+        Date.now.mockRestore();
+      }
+      const entries = lines.map(line => JSON.parse(line).audit).filter(Boolean);
+      expect(entries).toEqual([expect.objectContaining({ event: 'token.expired', outcome: 'expired' })]);
+    });
+
+    test('lists and ends every session and refresh token of the caller', async () => {
+      signedInOdoo();
+      const app = loadApp({ ODOO_BASE_URL: 'http://odoo.local', ODOO_DB: 'prod' });
+      const signIn = () => request(app)
+        .post('/auth/login')
+        .send({ username: 'jane@example.com', password: 'secret' })
+        .expect(200);
+      const laptop = await signIn();
+      const phone = await signIn();
+      expect(laptop.body.token).toMatch(/^[\w-]{43}$/); // 32 random bytes
+
+      const listed = await request(app).get('/auth/sessions').set('Authorization', `Bearer ${laptop.body.token}`).expect(200);
+      expect(listed.body.sessions).toHaveLength(2);
+
+      const ended = await request(app).post('/auth/logout-all').set('Authorization', `Bearer ${laptop.body.token}`).expect(200);
+      expect(ended.body.sessionsEnded).toBe(2);
+      await request(app).post('/auth/refresh').send({ refreshToken: phone.body.refreshToken }).expect(401);
+    });
+  });
+
+  describe('logout', () => {
+    const signIn = app => request(app)
+      .post('/auth/login')
+      .send({ username: 'jane@example.com', password: 'secret' })
+      .expect(200);
+
+    test('revokes the session, its JWT and its refresh token', async () => {
+      signedInOdoo();
+      const app = loadApp({ ODOO_BASE_URL: 'http://odoo.local', ODOO_DB: 'prod', TOKEN_MODE: 'both' });
+      const login = await signIn(app);
+      await request(app).get('/auth/user').set('Authorization', `Bearer ${login.body.jwt}`).expect(200);
+
+      await request(app).post('/auth/logout').set('Authorization', `Bearer ${login.body.token}`).expect(200);
+
+      await request(app).get('/auth/user').set('Authorization', `Bearer ${login.body.token}`).expect(403);
+      const revoked = await request(app).get('/auth/user').set('Authorization', `Bearer ${login.body.jwt}`).expect(401);
+      expect(revoked.body.error).toBe('Token revoked');
+      await request(app).post('/auth/refresh').send({ refreshToken: login.body.refreshToken }).expect(401);
+    });
+
+    test('revokes the JWTs of every sign-in when logging out everywhere', async () => {
+      signedInOdoo();
+      const app = loadApp({ ODOO_BASE_URL: 'http://odoo.local', ODOO_DB: 'prod', TOKEN_MODE: 'jwt' });
+      const laptop = await signIn(app);
+      const phone = await signIn(app);
+
+      await request(app).post('/auth/logout-all').set('Authorization', `Bearer ${laptop.body.token}`).expect(200);
+
+      for (const login of [laptop, phone]) {
+        const revoked = await request(app).get('/auth/user').set('Authorization', `Bearer ${login.body.token}`).expect(401);
+        expect(revoked.body.error).toBe('Token revoked');
+      }
+    });
+  });
+
+  describe('introspection', () => {
+    test('describes live tokens to registered resource servers only', async () => {
+      signedInOdoo();
+      const app = loadApp({
+        ODOO_BASE_URL: 'http://odoo.local',
+        ODOO_DB: 'prod',
+        TOKEN_MODE: 'both',
+        INTROSPECTION_CLIENTS: JSON.stringify([{ client_id: 'billing-api', client_secret: 'change-me' }])
+      });
+      const login = await request(app)
+        .post('/auth/login')
+        .send({ username: 'jane@example.com', password: 'secret' })
+        .expect(200);
+      const introspect = token => request(app)
+        .post('/oauth/introspect')
+        .auth('billing-api', 'change-me')
+        .type('form')
+        .send({ token });
+
+      await request(app).post('/oauth/introspect').type('form').send({ token: login.body.token }).expect(401);
+      await request(app).post('/oauth/introspect').auth('billing-api', 'wrong').type('form').send({ token: login.body.token }).expect(401);
+      await introspect('').expect(400);
+
+      for (const token of [login.body.token, login.body.jwt]) {
+        const active = await introspect(token).expect(200);
+        expect(active.headers['cache-control']).toBe('no-store');
+        expect(active.body).toMatchObject({
+          active: true,
+          sub: '7',
+          username: 'jane@example.com',
+          odoo_uid: 7,
+          credential_type: 'password'
+        });
+      }
+
+      await request(app).post('/auth/logout').set('Authorization', `Bearer ${login.body.token}`).expect(200);
+      for (const token of [login.body.token, login.body.jwt, 'not-a-token']) {
+        expect((await introspect(token).expect(200)).body).toEqual({ active: false });
+      }
+    });
+  });
+
+  describe('scoped tokens', () => {
+    test('are refused on routes that act for a signed-in user', async () => {
+      signedInOdoo();
+      const app = loadApp({
+        ODOO_BASE_URL: 'http://odoo.local',
+        ODOO_DB: 'prod',
+        SERVICE_CLIENTS: JSON.stringify([{
+          client_id: 'nightly-etl',
+          client_secret_hash: bcrypt.hashSync('s3cret', 4),
+          scopes: ['odoo.read'],
+          odoo: { login: 'jane@example.com', password: 'secret' }
+        }])
+      });
+      const issued = await request(app)
+        .post('/oauth/token')
+        .auth('nightly-etl', 's3cret')
+        .type('form')
+        .send({ grant_type: 'client_credentials' })
+        .expect(200);
+      const bearer = `Bearer ${issued.body.access_token}`;
+
+      for (const [method, path] of [
+        ['get', '/auth/sessions'],
+        ['post', '/auth/logout-all'],
+        ['post', '/auth/company'],
+        ['post', '/auth/lockout/unlock'],
+        ['post', '/odoo/test?mode=admin']
+      ]) {
+        const response = await request(app)[method](path).set('Authorization', bearer).send({}).expect(403);
+        expect(response.body.error).toBe('insufficient_scope');
+      }
+      await request(app).post('/odoo/test').set('Authorization', bearer).expect(200);
+    });
+
+    test('include OpenID Connect access tokens, which only reach /userinfo', async () => {
+      signedInOdoo();
+      const app = loadApp(oidcEnv);
+      const tokens = await signInWithOidc(app, 'openid profile');
+      const bearer = `Bearer ${tokens.body.access_token}`;
+
+      for (const [method, path] of [
+        ['post', '/odoo/res.partner/unlink'],
+        ['post', '/odoo/res.partner/search_read'],
+        ['delete', '/auth/sessions'],
+        ['post', '/auth/logout-all']
+      ]) {
+        const response = await request(app)[method](path).set('Authorization', bearer).send({}).expect(403);
+        expect(response.body.error).toBe('insufficient_scope');
+      }
+      const userinfo = await request(app).get('/userinfo').set('Authorization', bearer).expect(200);
+      expect(userinfo.body).toMatchObject({ sub: '7', name: 'Jane Doe' });
+    });
+  });
+
+  describe('company switch', () => {
+    test('gives JWT callers a token with the claims and lifetime of their sign-in', async () => {
+      signedInOdoo();
+      const read = mockOdoo.read;
+      mockOdoo.read = jest.fn(async (...args) => (await read(...args)).map(record => ({ ...record, company_ids: [1, 2] })));
+      const app = loadApp({ ODOO_BASE_URL: 'http://odoo.local', ODOO_DB: 'prod', TOKEN_MODE: 'jwt', SESSION_MAX_LIFETIME: '60' });
+      const login = await request(app)
+        .post('/auth/login')
+        .send({ username: 'jane@example.com', password: 'secret' })
+        .expect(200);
+      const claimsOf = token => JSON.parse(Buffer.from(token.split('.')[1], 'base64url'));
+      const before = claimsOf(login.body.token);
+
+      const switched = await request(app)
+        .post('/auth/company')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .send({ companyId: 2 })
+        .expect(200);
+      const after = claimsOf(switched.body.token);
+
+      expect(after).toMatchObject({ company_id: 2, sid: before.sid, credential_type: 'password' });
+      expect(after.exp).toBeLessThanOrEqual(before.iat + 60);
+      await request(app).get('/auth/user').set('Authorization', `Bearer ${login.body.token}`).expect(401);
+      await request(app).get('/auth/user').set('Authorization', `Bearer ${switched.body.token}`).expect(200);
+    });
+  });
+
+  describe('odoo test', () => {
+    test('keeps returning stats next to the checks', async () => {
+      signedInOdoo();
+      mockOdoo.execute_kw = jest.fn(async (model, method) => {
+        if (model === 'product.template') throw new Error('Object product.template doesn\'t exist');
+        return method === 'search_count' ? 3 : [];
+      });
+      const app = loadApp({ ODOO_BASE_URL: 'http://odoo.local', ODOO_DB: 'prod' });
+      const login = await request(app)
+        .post('/auth/login')
+        .send({ username: 'jane@example.com', password: 'secret' })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/odoo/test')
+        .set('Authorization', `Bearer ${login.body.token}`)
+        .expect(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        status: 'warn',
+        stats: { partnerCount: 3, productCount: null, userCount: 3, samplePartners: [] }
+      });
+    });
+  });
+
+  describe('password reset', () => {
+    const env = {
+      ODOO_BASE_URL: 'http://odoo.local',
+      ODOO_DB: 'prod',
+      ODOO_SERVICE_LOGIN: 'jane@example.com',
+      ODOO_SERVICE_PASSWORD: 'secret'
+    };
+    const sent = { success: true, message: 'If the account exists, a password reset email has been sent' };
+
+    test('asks Odoo to send the reset email as the service account', async () => {
+      signedInOdoo();
+      const app = loadApp(env);
+
+      const response = await request(app).post('/auth/password/reset-request').send({ username: 'ops@example.com' }).expect(200);
+      expect(response.body).toEqual(sent);
+      expect(mockOdoo.execute_kw).toHaveBeenCalledWith('res.users', 'reset_password', [['ops@example.com']]);
+
+      await request(app).post('/auth/password/reset-request').send({}).expect(400);
+    });
+
+    test('answers the same whether or not Odoo sent the email', async () => {
+      signedInOdoo();
+      mockOdoo.execute_kw = jest.fn(async () => {
+        throw new Error('UserError: No account found for this login');
+      });
+      const app = loadApp(env);
+
+      const response = await request(app).post('/auth/password/reset-request').send({ username: 'nobody@example.com' }).expect(200);
+      expect(response.body).toEqual(sent);
+    });
+
+    test('answers 503 without a service account', async () => {
+      signedInOdoo();
+      const app = loadApp({ ODOO_BASE_URL: 'http://odoo.local', ODOO_DB: 'prod' });
+      await request(app).post('/auth/password/reset-request').send({ username: 'ops@example.com' }).expect(503);
+    });
+  });
+
+  describe('password change', () => {
+    const minimalEnv = { ODOO_BASE_URL: 'http://odoo.local', ODOO_DB: 'prod' };
+
+    const signIn = async (app) => {
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ username: 'jane@example.com', password: 'secret' })
+        .expect(200);
+      return response.body.token;
+    };
+
+    test('answers 401 when Odoo refuses the current password', async () => {
+      signedInOdoo();
+      const app = loadApp(minimalEnv);
+      const token = await signIn(app);
+
+      const response = await request(app)
+        .post('/auth/password/change')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'wrong', newPassword: 'n3w-Secret' })
+        .expect(401);
+      expect(response.body.error).toBe('Current password is incorrect');
+    });
+
+    test('does not return Odoo\'s fault to the client', async () => {
+      signedInOdoo();
+      mockOdoo.execute_kw = jest.fn(async () => {
+        throw new Error('Traceback (most recent call last): File "/opt/odoo/odoo/models.py" ... UserError: too short');
+      });
+      const app = loadApp(minimalEnv);
+      const token = await signIn(app);
+
+      const response = await request(app)
+        .post('/auth/password/change')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ currentPassword: 'secret', newPassword: 'x' })
+        .expect(400);
+      expect(response.body.error).toBe('Password change rejected');
+      expect(response.body.details).toBeUndefined();
+    });
+  });
+});